@@ -5,21 +5,35 @@
  * All data received is ciphertext - server has zero knowledge.
  */
 
+import 'dotenv/config'; // Must run before modules that read process.env at import
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 
 // Routes
 import authRoutes from './routes/authRoutes.js';
 import blobRoutes from './routes/blobRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import webrtcRoutes from './routes/webrtcRoutes.js';
-
-// Load environment variables
-dotenv.config();
+import deviceRoutes from './routes/deviceRoutes.js';
+import attachmentRoutes from './routes/attachmentRoutes.js';
+import keyRoutes from './routes/keyRoutes.js';
+import reminderRoutes from './routes/reminderRoutes.js';
+
+// Services
+import RealtimeService from './services/RealtimeService.js';
+import NotificationWorker from './services/NotificationWorker.js';
+import AttachmentSweeper from './services/AttachmentSweeper.js';
+import CallService from './services/CallService.js';
+import AccountService from './services/AccountService.js';
+import BlobExpirySweeper from './services/BlobExpirySweeper.js';
+import BlobDeliverySweeper from './services/BlobDeliverySweeper.js';
+import ReminderService from './services/ReminderService.js';
+import { assertJwtSecret } from './middleware/auth.js';
+import KeyLogService from './services/KeyLogService.js';
+import { notFoundHandler, errorHandler } from './middleware/errors.js';
 
 const app = express();
 
@@ -68,12 +82,20 @@ app.use(cors({
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 10000, // Allow many requests for real-time messaging
-    message: { error: 'Too many requests, please try again later.' },
+    message: { error: 'Too many requests, please try again later.', code: 'RATE_LIMITED' },
 });
 app.use('/api', limiter); // Apply rate limiting to all /api routes
 
 // Body parsing (for encrypted blobs)
-app.use(express.json({ limit: '50kb' })); // Increased for messages with emojis
+// Backup archives are far larger than any single blob - the import route
+// parses its own body, after auth. Marked by mount path so it matches the
+// way the router does (any case, trailing slash)
+const jsonBody = express.json({ limit: '50kb' }); // Increased for messages with emojis
+app.use('/api/auth/import', (req, res, next) => {
+    req.deferJsonBody = true;
+    next();
+});
+app.use((req, res, next) => (req.deferJsonBody ? next() : jsonBody(req, res, next)));
 
 // =============================================================================
 // Routes
@@ -102,17 +124,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/blobs', blobRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/webrtc', webrtcRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/reminders', reminderRoutes);
 
 // 404 handler
-app.use((req, res) => {
-    res.status(404).json({ error: 'Not found' });
-});
+app.use(notFoundHandler);
 
-// Error handler
-app.use((err, req, res, next) => {
-    console.error('[Error]', err.message);
-    res.status(500).json({ error: 'Internal server error' });
-});
+// Error handler - { error, code, details? } for every failure
+app.use(errorHandler);
 
 // =============================================================================
 // Database & Server Start
@@ -122,20 +143,47 @@ const PORT = process.env.PORT || 5000;
 
 async function startServer() {
     try {
+        assertJwtSecret();
+        KeyLogService.assertSigningKey();
+
         // Connect to MongoDB
         if (process.env.MONGODB_URI) {
             await mongoose.connect(process.env.MONGODB_URI);
             console.log('[DB] Connected to MongoDB');
+
+            // Deliver queued push notifications
+            NotificationWorker.start();
+
+            // Clean up abandoned attachment uploads
+            AttachmentSweeper.start();
+
+            // Erase accounts whose deletion grace period is over
+            AccountService.start();
+
+            // Purge self-destructing blobs
+            BlobExpirySweeper.start();
+
+            // Deliver scheduled blobs when they're due
+            BlobDeliverySweeper.start();
+
+            // Send scheduled reminder pushes
+            ReminderService.start();
         } else {
             console.log('[DB] Running without database (development mode)');
         }
 
+        // Unanswered calls become missed
+        CallService.start();
+
         // Start server
-        app.listen(PORT, () => {
+        const server = app.listen(PORT, () => {
             console.log(`[Server] cuddle. backend running on port ${PORT}`);
             console.log(`[Server] Environment: ${process.env.NODE_ENV}`);
             console.log('[Server] Zero-knowledge encryption - backend sees only ciphertext');
         });
+
+        // Real-time channel shares the HTTP server (ws upgrade on /ws)
+        RealtimeService.attach(server);
     } catch (error) {
         console.error('[Server] Failed to start:', error.message);
         process.exit(1);
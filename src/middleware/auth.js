@@ -1,41 +1,124 @@
 /**
  * Auth Middleware - JWT verification for protected routes
+ *
+ * Access tokens are short-lived and bound to a Session; revoking the
+ * session invalidates its access token immediately.
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { ApiError } from './errors.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
+const DEV_SECRET = 'dev-secret-change-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEV_SECRET;
+
+export const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+
+// Token is well-formed but its session is gone
+class SessionError extends Error {}
 
 /**
- * Verify JWT token from x-auth-token header
+ * Refuse to run in production with a missing or placeholder secret
  */
-export const auth = (req, res, next) => {
+export const assertJwtSecret = () => {
+    if (process.env.NODE_ENV !== 'production') {
+        return;
+    }
+    if (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEV_SECRET || process.env.JWT_SECRET.length < 32) {
+        throw new Error('JWT_SECRET must be set to a random value of at least 32 characters in production');
+    }
+};
+
+/**
+ * Build the middleware that verifies the x-auth-token header
+ * @param {object} options - { preUpgrade } also accepts a token from before
+ * sessions existed (see verifyToken)
+ */
+const authenticate = (options = {}) => async (req, res, next) => {
     const token = req.header('x-auth-token');
 
     if (!token) {
-        return res.status(401).json({ error: 'No token, authorization denied' });
+        return next(new ApiError(401, 'No token, authorization denied', 'NO_TOKEN'));
     }
 
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded.user;
-        next();
+        req.user = await verifyToken(token, options);
     } catch (err) {
-        res.status(401).json({ error: 'Token is not valid' });
+        if (err instanceof jwt.TokenExpiredError) {
+            return next(new ApiError(401, 'Token expired', 'TOKEN_EXPIRED'));
+        }
+        if (err instanceof jwt.JsonWebTokenError || err instanceof SessionError) {
+            return next(new ApiError(401, 'Token is not valid', 'INVALID_TOKEN'));
+        }
+        return next(err);
+    }
+
+    next();
+};
+
+/**
+ * Verify JWT token from x-auth-token header
+ */
+export const auth = authenticate();
+
+/**
+ * Like auth, but also lets in a token issued before key login, until it
+ * expires - only for migrating its account (POST /api/auth/enroll-key)
+ */
+export const preUpgradeAuth = authenticate({ preUpgrade: true });
+
+/**
+ * Verify a raw JWT and its session, and return the user payload
+ * (rejects if invalid). Shared by the HTTP middleware and the WebSocket handshake
+ *
+ * With `preUpgrade`, a token from before key login ({ user: { id } } only,
+ * no session) passes too, marked `preUpgrade: true`.
+ */
+export const verifyToken = async (token, { preUpgrade = false } = {}) => {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const { user } = decoded;
+
+    if (preUpgrade && user?.id && !user.sessionId && !('legacy' in user)) {
+        return { id: user.id, preUpgrade: true };
     }
+    if (!user?.sessionId) {
+        throw new SessionError('Token has no session');
+    }
+
+    const active = await Session.exists({
+        _id: user.sessionId,
+        userId: user.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+    if (!active) {
+        throw new SessionError('Session revoked or expired');
+    }
+
+    return user;
 };
 
 /**
- * Generate JWT token
+ * Key for another server-signed value, derived from the JWT secret so
+ * a token signature can't be passed off as one (or the other way round)
+ * @param {string} purpose - e.g. 'login-challenge'
+ */
+export const deriveSecret = (purpose) => crypto.createHmac('sha256', JWT_SECRET).update(purpose).digest();
+
+/**
+ * Generate a short-lived access token for a session
  */
-export const generateToken = (userId) => {
+export const generateToken = (userId, session) => {
     const payload = {
         user: {
             id: userId,
+            sessionId: session._id.toString(),
+            deviceId: session.deviceId,
         },
     };
 
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' });
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 };
 
-export default { auth, generateToken };
+export default { auth, preUpgradeAuth, verifyToken, generateToken, assertJwtSecret, deriveSecret };
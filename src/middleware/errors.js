@@ -0,0 +1,111 @@
+/**
+ * Error Middleware - One error response format for every route
+ *
+ * Every error response looks like:
+ *   { error: 'Human readable message', code: 'MACHINE_CODE', details?: {...} }
+ *
+ * Routes throw ApiError (or pass any error to next()) and the handler
+ * below turns it into that shape.
+ */
+
+import mongoose from 'mongoose';
+
+const DEFAULT_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    416: 'RANGE_NOT_SATISFIABLE',
+    428: 'PRECONDITION_REQUIRED',
+    429: 'RATE_LIMITED',
+    500: 'SERVER_ERROR',
+};
+
+/**
+ * An error with an HTTP status that is safe to show to the client
+ */
+export class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} message - Message for the client
+     * @param {string} code - Machine-readable code (defaults from status)
+     * @param {object} details - Optional extra context (e.g. field errors)
+     */
+    constructor(status, message, code, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code || DEFAULT_CODES[status] || 'ERROR';
+        this.details = details;
+    }
+}
+
+/**
+ * Send an error response in the standard shape
+ */
+export const sendError = (res, status, message, code, details) => {
+    const body = { error: message, code: code || DEFAULT_CODES[status] || 'ERROR' };
+    if (details) {
+        body.details = details;
+    }
+    return res.status(status).json(body);
+};
+
+/**
+ * Reject route params that aren't valid ObjectIds with a 400
+ * Usage: router.param('id', objectIdParam)
+ */
+export const objectIdParam = (req, res, next, value, name) => {
+    if (!mongoose.isValidObjectId(value) || !/^[0-9a-f]{24}$/i.test(value)) {
+        return next(new ApiError(400, `Invalid ${name}`, 'INVALID_ID'));
+    }
+    next();
+};
+
+/**
+ * 404 for unknown routes
+ */
+export const notFoundHandler = (req, res) => {
+    sendError(res, 404, 'Not found');
+};
+
+/**
+ * Final error handler - maps known errors, hides everything else
+ */
+export const errorHandler = (err, req, res, next) => {
+    if (err instanceof ApiError) {
+        return sendError(res, err.status, err.message, err.code, err.details);
+    }
+
+    // Malformed ObjectId or other uncastable value in a query
+    if (err instanceof mongoose.Error.CastError) {
+        return sendError(res, 400, `Invalid ${err.path}`, 'INVALID_ID');
+    }
+
+    // Schema validation (enum, required, ...)
+    if (err instanceof mongoose.Error.ValidationError) {
+        const details = Object.fromEntries(
+            Object.entries(err.errors).map(([path, e]) => [path, e.message])
+        );
+        return sendError(res, 400, 'Validation failed', 'VALIDATION_FAILED', details);
+    }
+
+    // Body parser errors
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, 'Request body too large');
+    }
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Malformed JSON body', 'INVALID_JSON');
+    }
+
+    if (err.message === 'Not allowed by CORS') {
+        return sendError(res, 403, 'Origin not allowed', 'CORS_REJECTED');
+    }
+
+    console.error(`[Error] ${req.method} ${req.originalUrl}:`, err.message);
+    sendError(res, 500, 'Server error');
+};
+
+export default { ApiError, sendError, objectIdParam, notFoundHandler, errorHandler };
@@ -0,0 +1,254 @@
+/**
+ * Validation Middleware - Shape checks for blob payloads
+ *
+ * The server can't read ciphertext, but it can make sure what it stores
+ * is well-formed base64 of a sane size, and that shared blobs only go
+ * to the caller's linked partner.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Blob, { RECIPIENT_ROLES, MAX_SEARCH_TOKENS, SEARCH_TOKEN_MAX, notExpired, readableBy } from '../models/Blob.js';
+import User from '../models/User.js';
+import { ApiError } from './errors.js';
+
+// Strict standard base64 (what btoa / Buffer produce)
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Max ciphertext length (base64 characters) per blob type
+export const CIPHERTEXT_LIMITS = {
+    signal: 2 * 1024,
+    message: 32 * 1024,
+    default: 48 * 1024,
+};
+const IV_MAX = 44; // base64 of 32 bytes
+const META_MAX = 4 * 1024;
+const MAX_EXPIRY = 365 * 24 * 60 * 60 * 1000;
+const MAX_DELIVERY_DELAY = 365 * 24 * 60 * 60 * 1000;
+const REACTION_MAX = 512;
+const PUBLIC_KEY_MAX = 1024;
+
+export const isBase64 = (value) => typeof value === 'string' && BASE64.test(value);
+
+/**
+ * Base64 public key: raw (32-byte X25519/Ed25519, 65-byte uncompressed EC)
+ * or SPKI DER. Only the shape is checked - the server never uses the key.
+ */
+export function isPublicKey(value) {
+    if (!isBase64(value) || value.length === 0 || value.length > PUBLIC_KEY_MAX) {
+        return false;
+    }
+    const der = Buffer.from(value, 'base64');
+    if (der.length === 32 || (der.length === 65 && der[0] === 0x04)) {
+        return true;
+    }
+    try {
+        crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Collect field errors for ciphertext/iv/encryptedMeta
+ * @param {object} body - Request body
+ * @param {string} type - Blob type (for the size limit)
+ * @param {boolean} partial - Only check fields that are present (updates)
+ */
+export function checkEncryptedFields(body, type, partial) {
+    const errors = {};
+    const { ciphertext, iv, encryptedMeta } = body;
+    const limit = CIPHERTEXT_LIMITS[type] || CIPHERTEXT_LIMITS.default;
+
+    if (iv !== undefined && iv !== null && iv !== '' && (!isBase64(iv) || iv.length > IV_MAX)) {
+        errors.iv = 'must be base64 (at most 32 bytes)';
+    }
+
+    if (ciphertext !== undefined || !partial) {
+        if (typeof ciphertext !== 'string' || ciphertext.length === 0) {
+            errors.ciphertext = 'is required';
+        } else if (ciphertext.length > limit) {
+            errors.ciphertext = `must be at most ${limit} characters for type ${type}`;
+        } else if (iv && !isBase64(ciphertext)) {
+            // Without an iv this is plaintext shared content (pre key exchange)
+            errors.ciphertext = 'must be base64';
+        }
+    }
+
+    if (encryptedMeta !== undefined && encryptedMeta !== null) {
+        const { ciphertext: metaCiphertext, iv: metaIv } = encryptedMeta;
+        if (typeof encryptedMeta !== 'object'
+            || !isBase64(metaCiphertext) || metaCiphertext.length > META_MAX
+            || (metaIv && (!isBase64(metaIv) || metaIv.length > IV_MAX))) {
+            errors.encryptedMeta = 'must be { ciphertext, iv } in base64';
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Collect field errors for the searchable fields (searchTokens, logicalDate)
+ */
+export function checkIndexFields(body) {
+    const errors = {};
+    const { searchTokens, logicalDate } = body;
+
+    if (searchTokens !== undefined && searchTokens !== null
+        && (!Array.isArray(searchTokens) || searchTokens.length > MAX_SEARCH_TOKENS
+            || !searchTokens.every((t) => isBase64(t) && t.length > 0 && t.length <= SEARCH_TOKEN_MAX))) {
+        errors.searchTokens = `must be at most ${MAX_SEARCH_TOKENS} base64 tokens`;
+    }
+    if (logicalDate !== undefined && logicalDate !== null && isNaN(new Date(logicalDate))) {
+        errors.logicalDate = 'must be a date';
+    }
+
+    return errors;
+}
+
+/**
+ * Check a scheduled delivery time: in the future, within MAX_DELIVERY_DELAY
+ * @returns {string|null} Error message
+ */
+export function checkDeliverAt(deliverAt) {
+    const at = new Date(deliverAt).getTime();
+    if (isNaN(at) || at <= Date.now() || at > Date.now() + MAX_DELIVERY_DELAY) {
+        return 'must be a date within the next year';
+    }
+    return null;
+}
+
+/**
+ * Validate POST /api/blobs
+ */
+export const validateBlobCreate = async (req, res, next) => {
+    try {
+        const {
+            type, recipientId, recipientRole, expiresAt, deleteAfterRead, deliverAt, parentId, keyVersion,
+        } = req.body;
+        const blobTypes = Blob.schema.path('type').enumValues;
+        const errors = {};
+
+        if (!blobTypes.includes(type)) {
+            errors.type = `must be one of: ${blobTypes.join(', ')}`;
+        }
+        Object.assign(errors, checkEncryptedFields(req.body, type, false));
+        Object.assign(errors, checkIndexFields(req.body));
+
+        if (recipientId !== undefined && recipientId !== null && !mongoose.isValidObjectId(recipientId)) {
+            errors.recipientId = 'must be a valid id';
+        }
+        if (recipientRole !== undefined && recipientRole !== null && !RECIPIENT_ROLES.includes(recipientRole)) {
+            errors.recipientRole = `must be one of: ${RECIPIENT_ROLES.join(', ')}`;
+        }
+        if (expiresAt !== undefined && expiresAt !== null) {
+            const expiry = new Date(expiresAt).getTime();
+            if (isNaN(expiry) || expiry <= Date.now() || expiry > Date.now() + MAX_EXPIRY) {
+                errors.expiresAt = 'must be a date within the next year';
+            }
+        }
+        if (deliverAt !== undefined && deliverAt !== null) {
+            const error = recipientId ? checkDeliverAt(deliverAt) : 'needs a recipientId';
+            if (error) {
+                errors.deliverAt = error;
+            } else if (expiresAt && new Date(expiresAt) <= new Date(deliverAt)) {
+                errors.expiresAt = 'must be after deliverAt';
+            }
+        }
+        if (deleteAfterRead !== undefined && typeof deleteAfterRead !== 'boolean') {
+            errors.deleteAfterRead = 'must be a boolean';
+        } else if (deleteAfterRead && !recipientId) {
+            errors.deleteAfterRead = 'needs a recipientId';
+        }
+        if (keyVersion !== undefined && keyVersion !== null && (!Number.isInteger(keyVersion) || keyVersion < 1)) {
+            errors.keyVersion = 'must be a positive integer';
+        }
+        if (parentId !== undefined && parentId !== null && !mongoose.isValidObjectId(parentId)) {
+            errors.parentId = 'must be a valid id';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError(400, 'Invalid blob', 'VALIDATION_FAILED', errors);
+        }
+
+        // Shared blobs may only go to the caller's linked partner
+        if (recipientId) {
+            const user = await User.findById(req.user.id).select('partnerId');
+            if (!user?.partnerId || user.partnerId.toString() !== recipientId.toString()) {
+                throw new ApiError(403, 'Recipient must be your linked partner', 'NOT_PARTNER');
+            }
+        }
+
+        // Replies stay between the parent's participants
+        if (parentId) {
+            const parent = await Blob.findOne({
+                _id: parentId,
+                ...readableBy(req.user.id),
+                ...notExpired(),
+            }).select('userId recipientId threadId');
+            if (!parent) {
+                throw new ApiError(404, 'Parent blob not found');
+            }
+
+            const other = parent.userId.toString() === req.user.id ? parent.recipientId : parent.userId;
+            if (String(other ?? null) !== String(recipientId ?? null)) {
+                throw new ApiError(400, 'Invalid blob', 'VALIDATION_FAILED', {
+                    recipientId: 'must be the other participant of the parent blob',
+                });
+            }
+            req.parentBlob = parent;
+        }
+
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Validate PUT /api/blobs/:id (fields are optional, type is the stored one)
+ */
+export const validateBlobUpdate = async (req, res, next) => {
+    try {
+        const blob = await Blob.findById(req.params.id).select('type iv');
+        const errors = {
+            ...checkEncryptedFields({ ...req.body, iv: req.body.iv ?? blob?.iv }, blob?.type, true),
+            ...checkIndexFields(req.body),
+        };
+        const { keyVersion } = req.body;
+        if (keyVersion !== undefined && keyVersion !== null && (!Number.isInteger(keyVersion) || keyVersion < 1)) {
+            errors.keyVersion = 'must be a positive integer';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError(400, 'Invalid blob', 'VALIDATION_FAILED', errors);
+        }
+
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Validate POST /api/blobs/:id/reactions { ciphertext, iv }
+ */
+export const validateReaction = (req, res, next) => {
+    const { ciphertext, iv } = req.body;
+    const errors = {};
+
+    if (!isBase64(ciphertext) || ciphertext.length === 0 || ciphertext.length > REACTION_MAX) {
+        errors.ciphertext = `must be base64 (at most ${REACTION_MAX} characters)`;
+    }
+    if (iv !== undefined && iv !== null && iv !== '' && (!isBase64(iv) || iv.length > IV_MAX)) {
+        errors.iv = 'must be base64 (at most 32 bytes)';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return next(new ApiError(400, 'Invalid reaction', 'VALIDATION_FAILED', errors));
+    }
+    next();
+};
+
+export default { validateBlobCreate, validateBlobUpdate, validateReaction };
@@ -0,0 +1,90 @@
+/**
+ * Attachment Model - Large encrypted file linked to a blob
+ *
+ * Photos and voice notes are encrypted client-side, uploaded in
+ * numbered chunks and assembled on commit. The bytes live in the
+ * configured storage backend; this document tracks the upload.
+ * Access follows the parent blob (owner uploads, owner/recipient read).
+ */
+
+import mongoose from 'mongoose';
+import { getStorage } from '../services/storage/index.js';
+
+const attachmentSchema = new mongoose.Schema({
+    // Parent blob - permissions follow its userId/recipientId
+    blobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blob',
+        required: true,
+        index: true,
+    },
+
+    // Uploader (owner of the parent blob)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    status: {
+        type: String,
+        enum: ['uploading', 'complete'],
+        default: 'uploading',
+    },
+
+    // Encrypted size in bytes and chunking
+    size: {
+        type: Number,
+        required: true,
+    },
+    chunkSize: {
+        type: Number,
+        required: true,
+    },
+    totalChunks: {
+        type: Number,
+        required: true,
+    },
+    receivedChunks: [Number],
+
+    // SHA-256 (hex) of the encrypted bytes, verified on commit
+    checksum: {
+        type: String,
+        default: null,
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    completedAt: {
+        type: Date,
+        default: null,
+    },
+});
+
+attachmentSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Key of this attachment in the storage backend
+ */
+attachmentSchema.virtual('storageKey').get(function () {
+    return this._id.toString();
+});
+
+/**
+ * Remove the attachments of deleted blobs, bytes included
+ */
+attachmentSchema.statics.removeForBlobs = async function (blobIds) {
+    const attachments = await this.find({ blobId: { $in: blobIds } }).select('_id');
+    if (attachments.length === 0) {
+        return;
+    }
+
+    await Promise.all(attachments.map((attachment) => getStorage().remove(attachment.storageKey)));
+    await this.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+export default Attachment;
@@ -10,6 +10,46 @@
  */
 
 import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import Tombstone from './Tombstone.js';
+import Attachment from './Attachment.js';
+import BlobRevision from './BlobRevision.js';
+import Reaction from './Reaction.js';
+import Reminder from './Reminder.js';
+
+// Sequence shared by blob changes and tombstones (see GET /api/blobs/sync)
+export const SYNC_SEQUENCE = 'blobSync';
+
+// What the recipient of a shared blob may do; the owner can change it
+export const RECIPIENT_ROLES = ['editor', 'viewer'];
+
+// Types both partners edit together - recipients are editors by default
+export const COLLABORATIVE_TYPES = ['note', 'shared-growth', 'shared-prayer'];
+
+// Lifetime of types that are ephemeral unless the client says otherwise
+export const DEFAULT_EXPIRY = {
+    signal: 24 * 60 * 60 * 1000,
+};
+
+// Prayer requests have a lifecycle the server can see (content stays encrypted)
+export const PRAYER_TYPES = ['prayer', 'shared-prayer'];
+export const PRAYER_STATUSES = ['open', 'answered', 'archived'];
+
+// Limits on client-computed search tokens (see searchTokens)
+export const MAX_SEARCH_TOKENS = 32;
+export const SEARCH_TOKEN_MAX = 64;
+
+// Query condition excluding blobs past their expiresAt (not yet swept)
+export const notExpired = () => ({ expiresAt: { $not: { $lte: new Date() } } });
+
+// Query condition excluding blobs scheduled for later delivery
+export const delivered = () => ({ deliverAt: { $not: { $gt: new Date() } } });
+
+// Query condition for blobs a user may read: their own, and ones they
+// received that have been delivered
+export const readableBy = (userId) => ({
+    $or: [{ userId }, { recipientId: userId, ...delivered() }],
+});
 
 const blobSchema = new mongoose.Schema({
     // Owner of this blob
@@ -49,12 +89,108 @@ const blobSchema = new mongoose.Schema({
         index: true,
     },
 
+    // Recipient's permission (see RECIPIENT_ROLES); null = default for the type
+    recipientRole: {
+        type: String,
+        enum: [...RECIPIENT_ROLES, null],
+        default: null,
+    },
+
+    // Shared key version the ciphertext was encrypted with (see WrappedKey);
+    // null for private blobs and content from before key exchange
+    keyVersion: {
+        type: Number,
+        default: null,
+    },
+
+    // Reply to this blob (null for a top-level blob)
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blob',
+        default: null,
+    },
+    // First blob of the reply chain (null for a top-level blob)
+    threadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blob',
+        default: null,
+    },
+
+    // Scheduled delivery: hidden from the recipient until this time, then
+    // announced by the BlobDeliverySweeper (which clears deliveryPending)
+    deliverAt: {
+        type: Date,
+        default: null,
+    },
+    deliveryPending: {
+        type: Boolean,
+        default: false,
+    },
+    // Sender's push choice (POST { notify }), applied at delivery
+    notify: {
+        type: Boolean,
+        default: true,
+    },
+
+    // Self-destruct: removed by the BlobExpirySweeper after this time
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    // View once: expires as soon as the recipient marks it read
+    deleteAfterRead: {
+        type: Boolean,
+        default: false,
+    },
+
+    // Receipts set by the recipient (shared blobs only)
+    deliveredAt: {
+        type: Date,
+        default: null,
+    },
+    readAt: {
+        type: Date,
+        default: null,
+    },
+
+    // Prayer lifecycle (prayer types only, see PRAYER_STATUSES)
+    prayerStatus: {
+        type: String,
+        enum: [...PRAYER_STATUSES, null],
+        default: null,
+    },
+    answeredAt: {
+        type: Date,
+        default: null,
+    },
+
+    // Who wrote the current version (owner or an editing recipient)
+    lastEditedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+
     // Optional: encrypted metadata (for search, sorting client-side)
     encryptedMeta: {
         ciphertext: String,
         iv: String,
     },
 
+    // Blind index: tokens the client derives with a key the server never
+    // sees (e.g. HMAC of a tag). Only equality matches are possible.
+    searchTokens: {
+        type: [String],
+        default: undefined,
+    },
+
+    // Client-chosen date the entry is about (journal day, prayer date),
+    // for date range queries independent of createdAt
+    logicalDate: {
+        type: Date,
+        default: null,
+    },
+
     // Timestamps
     createdAt: {
         type: Date,
@@ -65,17 +201,239 @@ const blobSchema = new mongoose.Schema({
         type: Date,
         default: Date.now,
     },
+
+    // Bumped on every content update (optimistic concurrency, ETag)
+    version: {
+        type: Number,
+        default: 1,
+    },
+
+    // ID the blob had in the archive it was restored from (import dedupe)
+    importSourceId: {
+        type: String,
+        default: undefined,
+    },
+
+    // Sync sequence of the last change / of the creation
+    syncSeq: {
+        type: Number,
+    },
+    createdSeq: {
+        type: Number,
+    },
 });
 
-// Update timestamp on save
-blobSchema.pre('save', function (next) {
+// Update timestamp and sync sequence on save
+blobSchema.pre('save', async function () {
     this.updatedAt = new Date();
-    next();
+    this.syncSeq = await Counter.next(SYNC_SEQUENCE);
+    if (this.isNew) {
+        this.createdSeq = this.syncSeq;
+    }
 });
 
+/**
+ * A user's role on this blob: 'owner', 'editor', 'viewer' or null (no access)
+ */
+blobSchema.methods.roleOf = function (userId) {
+    const id = userId.toString();
+    if (this.userId.toString() === id) {
+        return 'owner';
+    }
+    if (this.recipientId?.toString() === id) {
+        return this.recipientRole || (COLLABORATIVE_TYPES.includes(this.type) ? 'editor' : 'viewer');
+    }
+    return null;
+};
+
+/**
+ * Whether the recipient still can't see this blob (scheduled for later)
+ */
+blobSchema.methods.awaitingDelivery = function () {
+    return Boolean(this.deliverAt && this.deliverAt > new Date());
+};
+
+/**
+ * What the recipient gets in a blob:new real-time event
+ */
+blobSchema.methods.recipientView = function () {
+    return {
+        _id: this._id,
+        userId: this.userId,
+        type: this.type,
+        recipientRole: this.recipientRole,
+        ciphertext: this.ciphertext,
+        iv: this.iv,
+        encryptedMeta: this.encryptedMeta,
+        keyVersion: this.keyVersion,
+        logicalDate: this.logicalDate,
+        expiresAt: this.expiresAt,
+        deleteAfterRead: this.deleteAfterRead,
+        parentId: this.parentId,
+        threadId: this.threadId,
+        deliverAt: this.deliverAt,
+        createdAt: this.createdAt,
+    };
+};
+
 // Compound indexes for efficient queries
 blobSchema.index({ userId: 1, type: 1, createdAt: -1 });
 blobSchema.index({ recipientId: 1, createdAt: -1 });
+blobSchema.index({ userId: 1, syncSeq: 1 });
+blobSchema.index({ recipientId: 1, syncSeq: 1 });
+blobSchema.index({ recipientId: 1, readAt: 1, type: 1 });
+blobSchema.index({ userId: 1, searchTokens: 1, logicalDate: -1 });
+blobSchema.index({ recipientId: 1, searchTokens: 1, logicalDate: -1 });
+blobSchema.index({ userId: 1, type: 1, logicalDate: -1 });
+blobSchema.index(
+    { userId: 1, prayerStatus: 1, createdAt: -1 },
+    { partialFilterExpression: { prayerStatus: { $type: 'string' } } }
+);
+blobSchema.index({ threadId: 1, createdAt: 1 }, { partialFilterExpression: { threadId: { $type: 'objectId' } } });
+blobSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
+blobSchema.index({ deliverAt: 1 }, { partialFilterExpression: { deliveryPending: true } });
+blobSchema.index({ userId: 1, deliverAt: 1 }, { partialFilterExpression: { deliveryPending: true } });
+blobSchema.index(
+    { userId: 1, importSourceId: 1 },
+    { unique: true, partialFilterExpression: { importSourceId: { $type: 'string' } } }
+);
+
+/**
+ * Delete matching blobs (and their attachments), leaving a tombstone for
+ * each so other devices learn about the deletion on their next sync
+ * @returns {Promise<Array>} The deleted blobs (_id, userId, recipientId, deliverAt, deliveryPending)
+ */
+blobSchema.statics.purge = async function (filter, reason = 'deleted') {
+    const blobs = await this.find(filter).select('_id userId recipientId deliverAt deliveryPending');
+    if (blobs.length === 0) {
+        return [];
+    }
+
+    const firstSeq = await Counter.next(SYNC_SEQUENCE, blobs.length);
+    await Tombstone.insertMany(blobs.map((blob, i) => ({
+        blobId: blob._id,
+        // A recipient who never got the blob has nothing to delete
+        audience: [blob.userId, blob.awaitingDelivery() ? null : blob.recipientId].filter(Boolean),
+        syncSeq: firstSeq + i,
+        reason,
+    })));
+
+    const ids = blobs.map((blob) => blob._id);
+    await this.deleteMany({ _id: { $in: ids } });
+    await Attachment.removeForBlobs(ids);
+    await BlobRevision.deleteMany({ blobId: { $in: ids } });
+    await Reaction.deleteMany({ blobId: { $in: ids } });
+    await Reminder.deleteMany({ blobId: { $in: ids } });
+    return blobs;
+};
+
+/**
+ * Set a receipt on blobs the user received. Reading implies delivery,
+ * and expires view-once blobs. Each marked blob gets a new sync sequence
+ * so the sender's devices see it.
+ * @param {string} status - 'delivered' | 'read'
+ * @returns {Promise<object>} { blobs: marked (_id, userId), at }
+ */
+blobSchema.statics.markReceipts = async function (recipientId, filter, status) {
+    const field = status === 'read' ? 'readAt' : 'deliveredAt';
+    const blobs = await this.find({ ...filter, ...notExpired(), ...delivered(), recipientId, [field]: null })
+        .select('_id userId deliveredAt deleteAfterRead');
+    const at = new Date();
+    if (blobs.length === 0) {
+        return { blobs, at };
+    }
+
+    const firstSeq = await Counter.next(SYNC_SEQUENCE, blobs.length);
+    await this.bulkWrite(blobs.map((blob, i) => ({
+        updateOne: {
+            filter: { _id: blob._id, [field]: null },
+            update: {
+                $set: {
+                    [field]: at,
+                    ...(!blob.deliveredAt && { deliveredAt: at }),
+                    ...(status === 'read' && blob.deleteAfterRead && { expiresAt: at }),
+                    syncSeq: firstSeq + i,
+                },
+            },
+        },
+    })));
+
+    return { blobs, at };
+};
+
+/**
+ * Apply changes only if the blob is still at expectedVersion (blobs from
+ * before versioning count as version 1). The replaced content is kept
+ * as a BlobRevision.
+ * @returns {Promise<object|null>} The updated blob, or null if no blob
+ *   matched filter at that version
+ */
+blobSchema.statics.updateVersion = async function (filter, expectedVersion, changes) {
+    const syncSeq = await Counter.next(SYNC_SEQUENCE);
+    const previous = await this.findOneAndUpdate(
+        { ...filter, version: expectedVersion === 1 ? { $in: [1, null] } : expectedVersion },
+        { $set: { ...changes, version: expectedVersion + 1, updatedAt: new Date(), syncSeq } }
+    );
+    if (!previous) {
+        return null;
+    }
+
+    await BlobRevision.record(previous);
+    return this.findById(previous._id);
+};
+
+/**
+ * Take shared blobs away from their recipient (e.g. after unlinking):
+ * the owner keeps them as private blobs, the recipient gets a tombstone
+ * @returns {Promise<Array>} The detached blobs (_id, recipientId)
+ */
+blobSchema.statics.detach = async function (filter, reason = 'unlinked') {
+    const blobs = await this.find({ ...filter, recipientId: { $ne: null } }).select('_id recipientId deliverAt');
+    if (blobs.length === 0) {
+        return [];
+    }
+
+    // One sequence for the recipient's tombstone, one for the owner's update
+    const firstSeq = await Counter.next(SYNC_SEQUENCE, blobs.length * 2);
+    await Tombstone.insertMany(blobs.map((blob, i) => ({
+        blobId: blob._id,
+        audience: blob.awaitingDelivery() ? [] : [blob.recipientId],
+        syncSeq: firstSeq + i,
+        reason,
+    })));
+
+    const updatedAt = new Date();
+    await this.bulkWrite(blobs.map((blob, i) => ({
+        updateOne: {
+            filter: { _id: blob._id },
+            update: {
+                $set: { recipientId: null, deliveryPending: false, updatedAt, syncSeq: firstSeq + blobs.length + i },
+            },
+        },
+    })));
+    return blobs;
+};
+
+/**
+ * Stamp blobs created before sync existed so they show up in a full sync
+ */
+blobSchema.statics.backfillSyncSeq = async function (userId) {
+    const legacy = await this.find({
+        ...readableBy(userId),
+        syncSeq: { $exists: false },
+    }).select('_id');
+    if (legacy.length === 0) {
+        return;
+    }
+
+    const firstSeq = await Counter.next(SYNC_SEQUENCE, legacy.length);
+    await this.bulkWrite(legacy.map((blob, i) => ({
+        updateOne: {
+            filter: { _id: blob._id, syncSeq: { $exists: false } },
+            update: { $set: { syncSeq: firstSeq + i, createdSeq: firstSeq + i } },
+        },
+    })));
+};
 
 const Blob = mongoose.model('Blob', blobSchema);
 export default Blob;
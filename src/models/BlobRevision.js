@@ -0,0 +1,96 @@
+/**
+ * BlobRevision Model - Earlier versions of a blob
+ *
+ * Every update keeps the ciphertext it replaced, so a client can merge
+ * a conflicting edit or undo. Only the newest revisions are kept.
+ */
+
+import mongoose from 'mongoose';
+
+// Revisions kept per blob
+export const MAX_REVISIONS = 20;
+
+const blobRevisionSchema = new mongoose.Schema({
+    blobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blob',
+        required: true,
+    },
+
+    // Blob version this ciphertext was
+    version: {
+        type: Number,
+        required: true,
+    },
+
+    // Encrypted content as it was (server cannot read it)
+    ciphertext: {
+        type: String,
+        required: true,
+    },
+    iv: {
+        type: String,
+        default: '',
+    },
+    encryptedMeta: {
+        ciphertext: String,
+        iv: String,
+    },
+    keyVersion: {
+        type: Number,
+        default: null,
+    },
+
+    // Who wrote this version
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+
+    // When this version was written / replaced
+    createdAt: {
+        type: Date,
+        required: true,
+    },
+    replacedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+blobRevisionSchema.index({ blobId: 1, version: -1 }, { unique: true });
+
+/**
+ * Keep the content of a blob that is about to be replaced, dropping
+ * revisions beyond MAX_REVISIONS
+ * @param {object} blob - Blob as it was before the update
+ */
+blobRevisionSchema.statics.record = async function (blob) {
+    await this.updateOne(
+        { blobId: blob._id, version: blob.version || 1 },
+        {
+            $setOnInsert: {
+                ciphertext: blob.ciphertext,
+                iv: blob.iv,
+                encryptedMeta: blob.encryptedMeta,
+                keyVersion: blob.keyVersion ?? null,
+                editedBy: blob.lastEditedBy || blob.userId,
+                createdAt: blob.updatedAt || blob.createdAt,
+                replacedAt: new Date(),
+            },
+        },
+        { upsert: true }
+    );
+
+    const stale = await this.find({ blobId: blob._id })
+        .sort({ version: -1 })
+        .skip(MAX_REVISIONS)
+        .select('_id');
+    if (stale.length > 0) {
+        await this.deleteMany({ _id: { $in: stale.map((revision) => revision._id) } });
+    }
+};
+
+const BlobRevision = mongoose.model('BlobRevision', blobRevisionSchema);
+export default BlobRevision;
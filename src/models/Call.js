@@ -0,0 +1,67 @@
+/**
+ * Call Model - WebRTC call session (MongoDB signaling store)
+ *
+ * Shared by every server instance so a call survives restarts and
+ * works when caller and callee hit different instances.
+ */
+
+import mongoose from 'mongoose';
+
+export const CALL_STATES = ['ringing', 'accepted', 'declined', 'missed', 'ended', 'busy'];
+
+const callSchema = new mongoose.Schema({
+    // Public call ID (UUID)
+    callId: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+
+    callerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Everyone in the call, caller included
+    participants: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    }],
+
+    state: {
+        type: String,
+        enum: CALL_STATES,
+        default: 'ringing',
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    answeredAt: {
+        type: Date,
+        default: null,
+    },
+    endedAt: {
+        type: Date,
+        default: null,
+    },
+    // Session is removed by MongoDB after this
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+callSchema.index({ participants: 1, state: 1 });
+callSchema.index({ state: 1, createdAt: 1 });
+callSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Call = mongoose.model('Call', callSchema);
+export default Call;
@@ -0,0 +1,63 @@
+/**
+ * CallRecord Model - Call history
+ *
+ * Metadata only: who called, when, how long and how it ended.
+ * Written once when a call reaches a final state.
+ */
+
+import mongoose from 'mongoose';
+
+export const CALL_OUTCOMES = ['completed', 'declined', 'missed', 'busy'];
+
+const callRecordSchema = new mongoose.Schema({
+    // Call session this record is for
+    callId: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+
+    // null once the caller's account is erased
+    callerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+
+    // Everyone in the call, caller included
+    participants: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    }],
+
+    outcome: {
+        type: String,
+        enum: CALL_OUTCOMES,
+        required: true,
+    },
+
+    // Timestamps
+    startedAt: {
+        type: Date,
+        required: true,
+    },
+    answeredAt: {
+        type: Date,
+        default: null,
+    },
+    endedAt: {
+        type: Date,
+        required: true,
+    },
+
+    // Seconds connected (0 unless answered)
+    duration: {
+        type: Number,
+        default: 0,
+    },
+});
+
+callRecordSchema.index({ participants: 1, startedAt: -1 });
+
+const CallRecord = mongoose.model('CallRecord', callRecordSchema);
+export default CallRecord;
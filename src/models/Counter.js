@@ -0,0 +1,91 @@
+/**
+ * Counter Model - Monotonic sequence numbers
+ *
+ * Used to stamp changes with a strictly increasing sequence so clients
+ * can sync incrementally from an opaque cursor.
+ *
+ * A value is reserved before the write that carries it commits, so
+ * writes can land out of order. Readers stop at settled() - values
+ * reserved long enough ago that their writes have finished - so a cursor
+ * never moves past a change that isn't visible yet.
+ */
+
+import mongoose from 'mongoose';
+
+// Longest a write may take between reserving a value and committing
+export const SETTLE_WINDOW = 10 * 1000;
+const MARK_INTERVAL = SETTLE_WINDOW / 4;
+const MARKS_KEPT = 8; // Covers twice the settle window
+
+const counterSchema = new mongoose.Schema({
+    // Sequence name (e.g. 'blobSync')
+    _id: {
+        type: String,
+        required: true,
+    },
+
+    // Last value handed out
+    seq: {
+        type: Number,
+        default: 0,
+    },
+
+    // When the last value was handed out (at the latest)
+    lastAt: {
+        type: Date,
+        default: null,
+    },
+
+    // Recent checkpoints, oldest first: every value up to `seq` was
+    // handed out by `at`
+    marks: [{
+        _id: false,
+        seq: Number,
+        at: Date,
+    }],
+});
+
+/**
+ * Reserve `count` consecutive values and return the first one
+ */
+counterSchema.statics.next = async function (name, count = 1) {
+    const counter = await this.findByIdAndUpdate(
+        name,
+        { $inc: { seq: count }, $max: { lastAt: new Date() } },
+        { new: true, upsert: true }
+    );
+
+    // Checkpoint every few seconds (skipped if another writer just did)
+    const at = new Date();
+    const latest = counter.marks[counter.marks.length - 1];
+    if (!latest || at - latest.at >= MARK_INTERVAL) {
+        await this.updateOne(
+            { _id: name, 'marks.at': { $not: { $gt: new Date(at - MARK_INTERVAL) } } },
+            { $push: { marks: { $each: [{ seq: counter.seq, at }], $slice: -MARKS_KEPT } } }
+        );
+    }
+
+    return counter.seq - count + 1;
+};
+
+/**
+ * Highest value whose write has had SETTLE_WINDOW to commit: every change
+ * at or below it is visible. Lags the last value by up to a window or
+ * so while values are being handed out.
+ */
+counterSchema.statics.settled = async function (name) {
+    const counter = await this.findById(name).lean();
+    if (!counter) {
+        return 0;
+    }
+
+    const horizon = new Date(Date.now() - SETTLE_WINDOW);
+    if (!counter.lastAt || counter.lastAt <= horizon) {
+        return counter.seq;
+    }
+    const mark = (counter.marks || []).filter((m) => m.at <= horizon).pop();
+    return mark ? mark.seq : 0;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+export default Counter;
@@ -0,0 +1,89 @@
+/**
+ * Device Model - A user's phone, laptop, browser...
+ *
+ * Each device has its own push subscription and presence, so
+ * notifications fan out to every device and a user counts as
+ * online while any of their devices is active.
+ */
+
+import mongoose from 'mongoose';
+
+// A device counts as active if seen in the last 5 minutes
+export const ACTIVE_WINDOW = 5 * 60 * 1000;
+
+const deviceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Client-chosen identifier (same as Session.deviceId)
+    deviceId: {
+        type: String,
+        required: true,
+    },
+
+    // User-facing name (e.g. "Pixel 8")
+    label: {
+        type: String,
+        default: '',
+    },
+
+    // Push notification subscription (Plain JSON for server use)
+    pushSubscription: {
+        endpoint: String,
+        keys: {
+            p256dh: String,
+            auth: String,
+        },
+    },
+
+    // Presence
+    isOnline: {
+        type: Boolean,
+        default: false,
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ 'pushSubscription.endpoint': 1 }, { sparse: true });
+
+/**
+ * Record activity (or going offline) for a device, creating it if needed
+ */
+deviceSchema.statics.touch = function (userId, deviceId, isOnline = true) {
+    const update = isOnline
+        ? { isOnline: true, lastSeenAt: new Date() }
+        : { isOnline: false };
+
+    return this.findOneAndUpdate(
+        { userId, deviceId },
+        { $set: update },
+        { upsert: true, new: true }
+    );
+};
+
+/**
+ * Online if any device is active
+ */
+deviceSchema.statics.isUserOnline = async function (userId) {
+    const active = await this.exists({
+        userId,
+        isOnline: true,
+        lastSeenAt: { $gt: new Date(Date.now() - ACTIVE_WINDOW) },
+    });
+    return Boolean(active);
+};
+
+const Device = mongoose.model('Device', deviceSchema);
+export default Device;
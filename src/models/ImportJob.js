@@ -0,0 +1,83 @@
+/**
+ * ImportJob Model - Progress of a backup restore
+ *
+ * Archives are imported in batches in the background; the client polls
+ * the job for progress. Blobs are matched by importSourceId, so running
+ * the same archive again only fills in what is missing.
+ */
+
+import mongoose from 'mongoose';
+
+const importJobSchema = new mongoose.Schema({
+    // Account being restored into
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running',
+    },
+
+    // Counts (blobs in the archive)
+    total: {
+        type: Number,
+        required: true,
+    },
+    processed: {
+        type: Number,
+        default: 0,
+    },
+    imported: {
+        type: Number,
+        default: 0,
+    },
+    duplicates: {
+        type: Number,
+        default: 0,
+    },
+    failed: {
+        type: Number,
+        default: 0,
+    },
+
+    // Why blobs were rejected (first few only) [{ index, sourceId, message }]
+    rejections: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: [],
+    },
+    // Set when the whole job failed
+    lastError: {
+        type: String,
+        default: null,
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Bumped after every batch (a stale running job was interrupted)
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    completedAt: {
+        type: Date,
+        default: null,
+    },
+    // Job record is removed by MongoDB after this
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+importJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+export default ImportJob;
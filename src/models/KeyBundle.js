@@ -0,0 +1,66 @@
+/**
+ * KeyBundle Model - A user's published public keys
+ *
+ * Partners fetch each other's bundle to agree on a shared key
+ * (X3DH-style). Only public keys are stored here; private keys
+ * never leave the client.
+ */
+
+import mongoose from 'mongoose';
+
+// One-time prekeys a user may have uploaded at once
+export const MAX_PREKEYS = 100;
+
+const publicKeySchema = new mongoose.Schema({
+    // Client-chosen ID so the owner can find the matching private key
+    keyId: {
+        type: Number,
+        required: true,
+    },
+    // Public key (base64, SPKI or raw)
+    publicKey: {
+        type: String,
+        required: true,
+    },
+}, { _id: false });
+
+const keyBundleSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true,
+    },
+
+    // Long-term identity key (base64)
+    identityKey: {
+        type: String,
+        required: true,
+    },
+
+    // Medium-term prekey, signed by the identity key
+    signedPrekey: {
+        keyId: Number,
+        publicKey: String,
+        signature: String,
+    },
+
+    // One-time prekeys - each is handed out once, then removed
+    prekeys: {
+        type: [publicKeySchema],
+        default: [],
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+const KeyBundle = mongoose.model('KeyBundle', keyBundleSchema);
+export default KeyBundle;
@@ -0,0 +1,60 @@
+/**
+ * KeyLogEntry Model - Append-only log of a user's public identity keys
+ *
+ * Entries form a hash chain (each hash covers the previous one) and every
+ * hash is signed by the server's log key. A partner who keeps the last
+ * hash they saw can tell if history was rewritten or a key was swapped.
+ */
+
+import mongoose from 'mongoose';
+
+const keyLogEntrySchema = new mongoose.Schema({
+    // Whose key this is
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Position in the user's log (1, 2, 3, ...)
+    seq: {
+        type: Number,
+        required: true,
+    },
+
+    // Public key (base64) and its SHA-256 fingerprint (hex)
+    publicKey: {
+        type: String,
+        required: true,
+    },
+    fingerprint: {
+        type: String,
+        required: true,
+    },
+
+    // Hash chain: hash = SHA-256 over this entry and prevHash (hex)
+    prevHash: {
+        type: String,
+        default: null,
+    },
+    hash: {
+        type: String,
+        required: true,
+    },
+
+    // Server's Ed25519 signature over hash (base64)
+    signature: {
+        type: String,
+        required: true,
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+keyLogEntrySchema.index({ userId: 1, seq: 1 }, { unique: true });
+
+const KeyLogEntry = mongoose.model('KeyLogEntry', keyLogEntrySchema);
+export default KeyLogEntry;
@@ -0,0 +1,46 @@
+/**
+ * KeyVerification Model - A user vouching for their partner's key
+ *
+ * Records which fingerprint was compared out of band (QR code, reading
+ * the safety number aloud). It stops counting once the partner's key
+ * changes.
+ */
+
+import mongoose from 'mongoose';
+
+const keyVerificationSchema = new mongoose.Schema({
+    // Who verified
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Whose key was verified
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Fingerprint and log entry that were verified
+    fingerprint: {
+        type: String,
+        required: true,
+    },
+    seq: {
+        type: Number,
+        required: true,
+    },
+
+    verifiedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+keyVerificationSchema.index({ userId: 1, subjectId: 1 }, { unique: true });
+keyVerificationSchema.index({ subjectId: 1 });
+
+const KeyVerification = mongoose.model('KeyVerification', keyVerificationSchema);
+export default KeyVerification;
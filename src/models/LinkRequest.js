@@ -0,0 +1,52 @@
+/**
+ * LinkRequest Model - Pending partner link
+ *
+ * Entering an invite code only creates a request; the code's owner
+ * has to accept it before the two accounts are linked.
+ */
+
+import mongoose from 'mongoose';
+
+const linkRequestSchema = new mongoose.Schema({
+    // Who entered the invite code
+    fromUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    // Owner of the invite code (must accept)
+    toUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'cancelled'],
+        default: 'pending',
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    respondedAt: {
+        type: Date,
+        default: null,
+    },
+    // Unanswered requests lapse (and are removed by MongoDB)
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+linkRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LinkRequest = mongoose.model('LinkRequest', linkRequestSchema);
+export default LinkRequest;
@@ -0,0 +1,99 @@
+/**
+ * Notification Model - Durable push outbox
+ *
+ * Every push goes through this queue so transient push-service
+ * failures are retried with backoff instead of being lost.
+ * Bursts sharing a collapseKey are merged into one push.
+ */
+
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+    // Recipient
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    // Notification data { title, body, type, data } sent to the devices
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+
+    // Urgent notifications ignore quiet hours
+    urgent: {
+        type: Boolean,
+        default: false,
+    },
+
+    // Pending notifications with the same key are merged ("3 new messages")
+    collapseKey: {
+        type: String,
+        default: null,
+    },
+    collapseLabel: {
+        type: String,
+        default: null,
+    },
+    count: {
+        type: Number,
+        default: 1,
+    },
+
+    // Seconds the push stays relevant (e.g. a ringing call); null = no limit
+    ttl: {
+        type: Number,
+        default: null,
+    },
+
+    // Delivery state
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'dead'],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Claim expiry so a crashed worker's items get picked up again
+    lockedUntil: {
+        type: Date,
+        default: null,
+    },
+    // Devices that already got it (skipped on retry)
+    deliveredDeviceIds: [String],
+    lastError: {
+        type: String,
+        default: null,
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    completedAt: {
+        type: Date,
+        default: null,
+    },
+    // Sent and dead entries are removed by MongoDB after this
+    purgeAt: {
+        type: Date,
+        default: null,
+    },
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ userId: 1, collapseKey: 1, status: 1 });
+notificationSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
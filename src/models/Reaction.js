@@ -0,0 +1,48 @@
+/**
+ * Reaction Model - Reaction to a blob
+ *
+ * The emoji is encrypted client-side like everything else; the server
+ * only knows who reacted to which blob.
+ */
+
+import mongoose from 'mongoose';
+
+// Reactions one user may leave on a single blob
+export const MAX_REACTIONS_PER_USER = 20;
+
+const reactionSchema = new mongoose.Schema({
+    // Blob reacted to
+    blobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blob',
+        required: true,
+    },
+
+    // Who reacted
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    // Encrypted emoji (server cannot read it)
+    ciphertext: {
+        type: String,
+        required: true,
+    },
+    iv: {
+        type: String,
+        default: '',
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+reactionSchema.index({ blobId: 1, createdAt: 1 });
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+export default Reaction;
@@ -0,0 +1,72 @@
+/**
+ * Reminder Model - Recurring push about a blob ("pray for this every morning")
+ *
+ * The schedule is local clock times in the user's timezone; nextFireAt is
+ * worked out from it after every firing (see ReminderService). The push
+ * only names the blob, so the server never needs its content.
+ */
+
+import mongoose from 'mongoose';
+
+// Reminders one user may keep, and clock times per reminder
+export const MAX_REMINDERS_PER_USER = 50;
+export const MAX_REMINDER_TIMES = 12;
+
+const reminderSchema = new mongoose.Schema({
+    // Who gets reminded (the blob's owner or its recipient)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    // Blob the reminder is about
+    blobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blob',
+        required: true,
+        index: true,
+    },
+
+    // "HH:MM" times of day in timezone
+    times: {
+        type: [String],
+        required: true,
+    },
+    // Days of the week (0 = Sunday); empty = every day
+    days: {
+        type: [Number],
+        default: [],
+    },
+    timezone: {
+        type: String,
+        default: 'UTC',
+    },
+
+    // Paused reminders keep their schedule but don't fire
+    active: {
+        type: Boolean,
+        default: true,
+    },
+
+    // Next time to fire (null while paused)
+    nextFireAt: {
+        type: Date,
+        default: null,
+    },
+    lastFiredAt: {
+        type: Date,
+        default: null,
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+reminderSchema.index({ nextFireAt: 1 }, { partialFilterExpression: { nextFireAt: { $type: 'date' } } });
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+export default Reminder;
@@ -0,0 +1,76 @@
+/**
+ * Session Model - One login per device
+ *
+ * Holds the hash of the device's current refresh token. Refresh tokens
+ * rotate on every use; presenting an old one revokes the session.
+ */
+
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    // Client-chosen device identifier and label (e.g. "Pixel 8")
+    deviceId: {
+        type: String,
+        required: true,
+    },
+    deviceLabel: {
+        type: String,
+        default: '',
+    },
+
+    // SHA-256 of the current refresh token secret (never the token itself)
+    refreshTokenHash: {
+        type: String,
+        required: true,
+    },
+
+    // Started by publicId-only login - can't enroll a login key
+    legacy: {
+        type: Boolean,
+        default: false,
+    },
+
+    // Revocation (logout, remote revoke, detected token reuse)
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        default: null,
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Sliding refresh expiry - document is removed by MongoDB afterwards
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used
+ */
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
@@ -0,0 +1,43 @@
+/**
+ * Signal Model - Queued WebRTC signal (MongoDB signaling store)
+ *
+ * Offers, answers and ICE candidates wait here until the recipient
+ * polls (or for their TTL, whichever comes first).
+ */
+
+import mongoose from 'mongoose';
+
+const signalSchema = new mongoose.Schema({
+    callId: {
+        type: String,
+        required: true,
+    },
+
+    // Recipient
+    toUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // { type, callId, from, sdp | candidate, timestamp }
+    signal: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+signalSchema.index({ toUserId: 1, createdAt: 1 });
+signalSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Signal = mongoose.model('Signal', signalSchema);
+export default Signal;
@@ -0,0 +1,44 @@
+/**
+ * Tombstone Model - Record of a deleted blob
+ *
+ * Deleting a blob leaves a tombstone so other devices of the owner
+ * and recipient can drop their cached copy during sync.
+ */
+
+import mongoose from 'mongoose';
+
+const tombstoneSchema = new mongoose.Schema({
+    // The blob that no longer exists
+    blobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+
+    // Users whose caches may hold a copy (owner and recipient)
+    audience: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    }],
+
+    // Sync sequence shared with Blob.syncSeq
+    syncSeq: {
+        type: Number,
+        required: true,
+    },
+
+    // Why the blob went away (e.g. 'deleted')
+    reason: {
+        type: String,
+        default: 'deleted',
+    },
+
+    deletedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+tombstoneSchema.index({ audience: 1, syncSeq: 1 });
+
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+export default Tombstone;
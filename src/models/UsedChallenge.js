@@ -0,0 +1,27 @@
+/**
+ * UsedChallenge Model - Login nonces that were already answered
+ *
+ * Challenges are stateless (see KeyAuthService); a nonce is recorded here
+ * when a login consumes it, until it would have expired anyway.
+ */
+
+import mongoose from 'mongoose';
+
+const usedChallengeSchema = new mongoose.Schema({
+    nonce: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+
+    // Expiry of the challenge - document is removed by MongoDB afterwards
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+usedChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UsedChallenge = mongoose.model('UsedChallenge', usedChallengeSchema);
+export default UsedChallenge;
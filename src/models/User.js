@@ -10,6 +10,10 @@
  */
 
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Invite codes are valid for 48 hours unless the user picks otherwise
+export const INVITE_CODE_TTL = 48 * 60 * 60 * 1000;
 
 const userSchema = new mongoose.Schema({
     // Non-revealing public identifier
@@ -27,6 +31,13 @@ const userSchema = new mongoose.Schema({
         iv: String,
     },
 
+    // Login public key (SPKI, base64) - the private key stays on the client
+    // null for accounts created before key login (must enroll one)
+    authPublicKey: {
+        type: String,
+        default: null,
+    },
+
     // Partner connection (optional)
     partnerId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -34,15 +45,19 @@ const userSchema = new mongoose.Schema({
         default: null,
     },
 
-    // Partner invite code (for linking)
+    // Partner invite code (for linking) - single use, expires
     inviteCode: {
         type: String,
         unique: true,
         sparse: true,
     },
+    inviteCodeExpiresAt: {
+        type: Date,
+        default: null,
+    },
 
-    // Push notification subscription (encrypted)
-    // Push notification subscription (Plain JSON for server use)
+    // Legacy single push subscription - moved onto a Device on first send
+    // (subscriptions now live per device, see Device.pushSubscription)
     pushSubscription: {
         endpoint: String,
         keys: {
@@ -51,6 +66,34 @@ const userSchema = new mongoose.Schema({
         },
     },
 
+    // Notification preferences
+    notificationSettings: {
+        // Daily window ("HH:MM" in timezone) when non-urgent pushes wait
+        quietHours: {
+            enabled: { type: Boolean, default: false },
+            start: { type: String, default: '22:00' },
+            end: { type: String, default: '07:00' },
+            timezone: { type: String, default: 'UTC' },
+        },
+        // Do-not-disturb: hold non-urgent pushes until this time
+        dndUntil: {
+            type: Date,
+            default: null,
+        },
+        // Blob types the partner shares without pushing a notification
+        mutedBlobTypes: {
+            type: [String],
+            default: [],
+        },
+    },
+
+    // Account deletion requested - erased at this time unless cancelled
+    deletionScheduledAt: {
+        type: Date,
+        default: null,
+        index: true,
+    },
+
     // Timestamps
     createdAt: {
         type: Date,
@@ -82,16 +125,34 @@ userSchema.methods.updateActivity = function () {
     return this.save();
 };
 
-// Generate invite code
-userSchema.methods.generateInviteCode = function () {
-    // Simple 8-char code
+// Generate (or rotate) the invite code
+userSchema.methods.generateInviteCode = async function (ttl = INVITE_CODE_TTL) {
+    // 8-char code from a CSPRNG, no look-alike characters
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let code = '';
-    for (let i = 0; i < 8; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+
+    for (let attempt = 0; ; attempt++) {
+        let code = '';
+        for (let i = 0; i < 8; i++) {
+            code += chars.charAt(crypto.randomInt(chars.length));
+        }
+        this.inviteCode = code;
+        this.inviteCodeExpiresAt = new Date(Date.now() + ttl);
+
+        try {
+            return await this.save();
+        } catch (err) {
+            // Retry on the (unlikely) collision with another user's code
+            if (err.code !== 11000 || attempt >= 2) {
+                throw err;
+            }
+        }
     }
-    this.inviteCode = code;
-    return this.save();
+};
+
+// Whether the current invite code can still be used - codes from before
+// expiry existed (no inviteCodeExpiresAt) are weak and count as expired
+userSchema.methods.hasValidInviteCode = function () {
+    return Boolean(this.inviteCode) && Boolean(this.inviteCodeExpiresAt) && this.inviteCodeExpiresAt > new Date();
 };
 
 const User = mongoose.model('User', userSchema);
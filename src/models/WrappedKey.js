@@ -0,0 +1,78 @@
+/**
+ * WrappedKey Model - The couple's shared key, encrypted for one user
+ *
+ * A client generates the shared blob key, wraps (encrypts) it with a key
+ * agreed from the recipient's public keys, and stores the result here.
+ * The server can't unwrap it. Rotating the shared key adds a new
+ * keyVersion; old versions stay so older blobs can still be decrypted.
+ *
+ * Keys belong to one partnership (partnerId). Unlinking deletes the ones
+ * wrapped for the other partner; self-wrapped keys stay so kept blobs
+ * remain readable, and a new partnership starts again at version 1.
+ */
+
+import mongoose from 'mongoose';
+
+const wrappedKeySchema = new mongoose.Schema({
+    // Who wrapped the key
+    fromUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Who can unwrap it (the partner, or the sender's own other devices)
+    toUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // The wrapper's partner at the time - the partnership this key is for
+    partnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Shared key version (Blob.keyVersion refers to this)
+    keyVersion: {
+        type: Number,
+        required: true,
+    },
+
+    // Encrypted key material and what's needed to unwrap it (all base64)
+    wrappedKey: {
+        type: String,
+        required: true,
+    },
+    iv: {
+        type: String,
+        default: '',
+    },
+    // Sender's ephemeral public key and the recipient prekey used
+    ephemeralKey: {
+        type: String,
+        default: null,
+    },
+    prekeyId: {
+        type: Number,
+        default: null,
+    },
+    // Client-defined scheme label, e.g. "x3dh-aes-gcm"
+    algorithm: {
+        type: String,
+        default: null,
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+wrappedKeySchema.index({ toUserId: 1, fromUserId: 1, partnerId: 1, keyVersion: 1 }, { unique: true });
+wrappedKeySchema.index({ fromUserId: 1 });
+
+const WrappedKey = mongoose.model('WrappedKey', wrappedKeySchema);
+export default WrappedKey;
@@ -0,0 +1,292 @@
+/**
+ * Attachment Routes - Resumable chunked upload of encrypted files
+ *
+ * Flow: POST / (initiate) -> PUT /:id/chunks/:index (any order, retry
+ * freely) -> POST /:id/commit (checksum) -> GET /:id/content (ranges).
+ * Bytes are ciphertext; the server only checks sizes and the checksum.
+ */
+
+import express from 'express';
+import { pipeline } from 'stream/promises';
+import Attachment from '../models/Attachment.js';
+import Blob, { notExpired, readableBy } from '../models/Blob.js';
+import { auth } from '../middleware/auth.js';
+import { ApiError, objectIdParam } from '../middleware/errors.js';
+import { getStorage } from '../services/storage/index.js';
+
+const router = express.Router();
+
+router.param('id', objectIdParam);
+
+const MAX_CHUNK_SIZE = 5 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_ATTACHMENT_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Load an attachment the caller may access through its parent blob
+ * @param {boolean} ownerOnly - Writes require owning the parent blob
+ */
+async function findAttachment(attachmentId, userId, ownerOnly) {
+    const attachment = await Attachment.findById(attachmentId);
+    if (!attachment) {
+        throw new ApiError(404, 'Attachment not found');
+    }
+
+    const blob = await Blob.exists({
+        _id: attachment.blobId,
+        ...(ownerOnly ? { userId } : readableBy(userId)),
+        ...notExpired(),
+    });
+    if (!blob) {
+        throw new ApiError(404, 'Attachment not found');
+    }
+
+    return attachment;
+}
+
+function describe(attachment) {
+    return {
+        id: attachment._id,
+        blobId: attachment.blobId,
+        status: attachment.status,
+        size: attachment.size,
+        chunkSize: attachment.chunkSize,
+        totalChunks: attachment.totalChunks,
+        receivedChunks: [...attachment.receivedChunks].sort((a, b) => a - b),
+        checksum: attachment.checksum,
+        createdAt: attachment.createdAt,
+        completedAt: attachment.completedAt,
+    };
+}
+
+/**
+ * POST /api/attachments
+ * Start an upload { blobId, size, chunkSize } for a blob the caller owns
+ */
+router.post('/', auth, async (req, res, next) => {
+    try {
+        const { blobId, size, chunkSize } = req.body;
+
+        if (!Number.isInteger(size) || size <= 0 || size > MAX_ATTACHMENT_SIZE) {
+            throw new ApiError(400, `size must be 1-${MAX_ATTACHMENT_SIZE} bytes`);
+        }
+        if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+            throw new ApiError(400, `chunkSize must be ${MIN_CHUNK_SIZE}-${MAX_CHUNK_SIZE} bytes`);
+        }
+
+        const blob = await Blob.exists({ _id: blobId, userId: req.user.id, ...notExpired() });
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const attachment = await Attachment.create({
+            blobId,
+            userId: req.user.id,
+            size,
+            chunkSize,
+            totalChunks: Math.ceil(size / chunkSize),
+        });
+
+        res.status(201).json(describe(attachment));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/attachments?blobId=
+ * List the attachments of a blob
+ */
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const { blobId } = req.query;
+
+        const blob = await Blob.exists({
+            _id: blobId,
+            ...readableBy(req.user.id),
+            ...notExpired(),
+        });
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const attachments = await Attachment.find({ blobId }).sort({ createdAt: 1 });
+        res.json({ attachments: attachments.map(describe) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/attachments/:id
+ * Upload state - receivedChunks tells a resuming client what's missing
+ */
+router.get('/:id', auth, async (req, res, next) => {
+    try {
+        const attachment = await findAttachment(req.params.id, req.user.id, false);
+        res.json(describe(attachment));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/attachments/:id/chunks/:index
+ * Upload one encrypted chunk (raw body, application/octet-stream)
+ */
+router.put(
+    '/:id/chunks/:index',
+    auth,
+    express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+    async (req, res, next) => {
+        try {
+            const attachment = await findAttachment(req.params.id, req.user.id, true);
+            const index = Number(req.params.index);
+
+            if (attachment.status !== 'uploading') {
+                throw new ApiError(409, 'Attachment already committed');
+            }
+            if (!Number.isInteger(index) || index < 0 || index >= attachment.totalChunks) {
+                throw new ApiError(400, `index must be 0-${attachment.totalChunks - 1}`);
+            }
+
+            // Every chunk is chunkSize except the last, which holds the rest
+            const isLast = index === attachment.totalChunks - 1;
+            const expected = isLast
+                ? attachment.size - attachment.chunkSize * (attachment.totalChunks - 1)
+                : attachment.chunkSize;
+            if (!Buffer.isBuffer(req.body) || req.body.length !== expected) {
+                throw new ApiError(400, `Chunk ${index} must be ${expected} bytes`);
+            }
+
+            await getStorage().writeChunk(attachment.storageKey, index, req.body);
+            await Attachment.updateOne({ _id: attachment._id }, { $addToSet: { receivedChunks: index } });
+
+            res.json({ index, received: true });
+        } catch (err) {
+            next(err);
+        }
+    }
+);
+
+/**
+ * POST /api/attachments/:id/commit
+ * Assemble the chunks and verify { checksum } (SHA-256 hex of the encrypted bytes)
+ */
+router.post('/:id/commit', auth, async (req, res, next) => {
+    try {
+        const { checksum } = req.body;
+        const attachment = await findAttachment(req.params.id, req.user.id, true);
+
+        if (typeof checksum !== 'string' || !/^[0-9a-f]{64}$/i.test(checksum)) {
+            throw new ApiError(400, 'checksum must be a SHA-256 hex digest');
+        }
+        if (attachment.status === 'complete') {
+            return res.json(describe(attachment));
+        }
+
+        const missing = [];
+        for (let i = 0; i < attachment.totalChunks; i++) {
+            if (!attachment.receivedChunks.includes(i)) {
+                missing.push(i);
+            }
+        }
+        if (missing.length > 0) {
+            throw new ApiError(409, 'Upload incomplete', 'UPLOAD_INCOMPLETE', { missing });
+        }
+
+        const storage = getStorage();
+        const { size, sha256 } = await storage.assemble(attachment.storageKey, attachment.totalChunks);
+
+        if (size !== attachment.size || sha256 !== checksum.toLowerCase()) {
+            // Can't tell which chunk was bad - start the upload over
+            await storage.remove(attachment.storageKey);
+            await Attachment.updateOne({ _id: attachment._id }, { receivedChunks: [] });
+            throw new ApiError(400, 'Checksum mismatch, upload again', 'CHECKSUM_MISMATCH');
+        }
+
+        attachment.status = 'complete';
+        attachment.checksum = sha256;
+        attachment.completedAt = new Date();
+        await attachment.save();
+
+        res.json(describe(attachment));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/attachments/:id/content
+ * Download the encrypted bytes (supports a single Range: bytes=start-end)
+ */
+router.get('/:id/content', auth, async (req, res, next) => {
+    try {
+        const attachment = await findAttachment(req.params.id, req.user.id, false);
+
+        if (attachment.status !== 'complete') {
+            throw new ApiError(409, 'Attachment upload not committed');
+        }
+
+        const { size } = attachment;
+        let start = 0;
+        let end = size - 1;
+
+        const range = req.headers.range;
+        if (range) {
+            const match = range.match(/^bytes=(\d*)-(\d*)$/);
+            if (!match || (match[1] === '' && match[2] === '')) {
+                res.set('Content-Range', `bytes */${size}`);
+                throw new ApiError(416, 'Invalid range');
+            }
+            if (match[1] === '') {
+                // Suffix range: last N bytes
+                start = Math.max(size - parseInt(match[2]), 0);
+            } else {
+                start = parseInt(match[1]);
+                end = match[2] === '' ? end : Math.min(parseInt(match[2]), end);
+            }
+            if (start > end || start >= size) {
+                res.set('Content-Range', `bytes */${size}`);
+                throw new ApiError(416, 'Range not satisfiable');
+            }
+            res.status(206);
+            res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': end - start + 1,
+            'Accept-Ranges': 'bytes',
+            ETag: `"${attachment.checksum}"`,
+            'Cache-Control': 'private, no-store',
+        });
+
+        await pipeline(getStorage().createReadStream(attachment.storageKey, { start, end }), res);
+    } catch (err) {
+        if (res.headersSent) {
+            console.error('[Attachment] Download error:', err.message);
+            return res.destroy();
+        }
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/attachments/:id
+ * Remove an attachment (owner of the parent blob only)
+ */
+router.delete('/:id', auth, async (req, res, next) => {
+    try {
+        const attachment = await findAttachment(req.params.id, req.user.id, true);
+
+        await getStorage().remove(attachment.storageKey);
+        await Attachment.deleteOne({ _id: attachment._id });
+
+        res.json({ message: 'Attachment deleted' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -2,24 +2,69 @@
  * Auth Routes - User registration and login
  * 
  * Note: The server only stores encrypted data.
- * Authentication is based on publicId, not email/password.
- * The client derives the actual encryption key locally.
+ * Authentication is challenge-response: the client proves possession of
+ * the signing key registered for its publicId. No password or private key
+ * ever reaches the server.
  */
 
 import express from 'express';
 import crypto from 'crypto';
-import User from '../models/User.js';
-import { generateToken, auth } from '../middleware/auth.js';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import rateLimit from 'express-rate-limit';
+import User, { INVITE_CODE_TTL } from '../models/User.js';
+import LinkRequest from '../models/LinkRequest.js';
+import Device from '../models/Device.js';
+import Session from '../models/Session.js';
+import UsedChallenge from '../models/UsedChallenge.js';
+import { auth, preUpgradeAuth } from '../middleware/auth.js';
+import { ApiError, objectIdParam } from '../middleware/errors.js';
+import RealtimeService from '../services/RealtimeService.js';
+import KeyAuthService from '../services/KeyAuthService.js';
+import SessionService from '../services/SessionService.js';
+import PartnerService, { UNLINK_MODES } from '../services/PartnerService.js';
+import AccountService from '../services/AccountService.js';
+import ImportService from '../services/ImportService.js';
 
 const router = express.Router();
 
+router.param('id', objectIdParam);
+
+// Accounts without a key can log in by publicId alone only while
+// LEGACY_LOGIN=true - anyone who learns a publicId gets in that way.
+// See README (Login key migration) for the cut-over.
+const legacyLoginEnabled = () => process.env.LEGACY_LOGIN === 'true';
+
+// Until KEY_ENROLLMENT_UNTIL (a date), publicId-only sessions may enroll
+// a key too - for clients that were offline past their old token
+const legacyEnrollmentOpen = () => legacyLoginEnabled()
+    && Date.parse(process.env.KEY_ENROLLMENT_UNTIL) > Date.now();
+
+// Invite codes are short - cap guesses per account
+const linkLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    keyGenerator: (req) => req.user.id,
+    message: { error: 'Too many link attempts, please try again later.', code: 'RATE_LIMITED' },
+});
+
+const INVITE_CODE_FORMAT = /^[A-HJ-NP-Z2-9]{8}$/;
+const INVITE_CODE_MAX_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Backup archives are far larger than the app-wide body limit
+const IMPORT_BODY_LIMIT = '25mb';
+
 /**
  * POST /api/auth/register
- * Create a new user with encrypted profile
+ * Create a new user with encrypted profile and login public key
  */
-router.post('/register', async (req, res) => {
+router.post('/register', async (req, res, next) => {
     try {
-        const { encryptedProfile } = req.body;
+        const { encryptedProfile, authPublicKey, deviceId, deviceLabel } = req.body;
+
+        if (!KeyAuthService.parsePublicKey(authPublicKey)) {
+            throw new ApiError(400, 'Valid authPublicKey required');
+        }
 
         // Generate unique public ID
         const publicId = crypto.randomBytes(16).toString('hex');
@@ -28,6 +73,7 @@ router.post('/register', async (req, res) => {
         const user = new User({
             publicId,
             encryptedProfile: encryptedProfile || null,
+            authPublicKey,
         });
 
         await user.save();
@@ -35,39 +81,96 @@ router.post('/register', async (req, res) => {
         // Generate invite code for partner linking
         await user.generateInviteCode();
 
-        // Generate JWT
-        const token = generateToken(user._id.toString());
+        // Start a session for this device
+        const { token, refreshToken, expiresIn } = await SessionService.create(user._id, { deviceId, deviceLabel });
 
         res.status(201).json({
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: user._id,
                 publicId: user.publicId,
                 inviteCode: user.inviteCode,
+                inviteCodeExpiresAt: user.inviteCodeExpiresAt,
             },
         });
     } catch (err) {
-        console.error('[Auth] Register error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
 /**
- * POST /api/auth/login
- * Login with publicId (client validates password locally)
+ * POST /api/auth/challenge
+ * Issue a one-time nonce for the client to sign. Unknown publicIds get a
+ * challenge too, so the answer doesn't tell which accounts exist.
  */
-router.post('/login', async (req, res) => {
+router.post('/challenge', async (req, res, next) => {
     try {
         const { publicId } = req.body;
 
-        if (!publicId) {
-            return res.status(400).json({ error: 'Public ID required' });
+        if (typeof publicId !== 'string' || !publicId) {
+            throw new ApiError(400, 'Public ID required');
         }
 
-        const user = await User.findOne({ publicId });
+        if (legacyLoginEnabled()) {
+            const user = await User.findOne({ publicId }).select('authPublicKey');
+            if (user && !user.authPublicKey) {
+                // Legacy account - log in with publicId, then POST /enroll-key
+                return res.json({ keyEnrollmentRequired: true });
+            }
+        }
 
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        const challenge = KeyAuthService.createChallenge(publicId);
+
+        res.json({
+            nonce: challenge.nonce,
+            expiresAt: challenge.expiresAt,
+            // Sign exactly this string
+            message: KeyAuthService.challengeMessage(publicId, challenge.nonce).toString(),
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Login with { publicId, nonce, signature } - the signature over the
+ * message from /challenge
+ */
+router.post('/login', async (req, res, next) => {
+    try {
+        const { publicId, nonce, signature, deviceId, deviceLabel } = req.body;
+
+        if (typeof publicId !== 'string' || !publicId) {
+            throw new ApiError(400, 'Public ID required');
+        }
+
+        const user = await User.findOne({ publicId });
+        const legacy = Boolean(user && !user.authPublicKey && legacyLoginEnabled());
+
+        if (!legacy) {
+            const expiresAt = KeyAuthService.checkChallenge(publicId, nonce);
+            if (!expiresAt || !signature) {
+                throw new ApiError(401, 'Challenge expired or missing');
+            }
+
+            // Unknown accounts and accounts without a key fail like a bad signature
+            const message = KeyAuthService.challengeMessage(publicId, nonce);
+            if (!user?.authPublicKey || !KeyAuthService.verify(user.authPublicKey, message, signature)) {
+                throw new ApiError(401, 'Invalid signature');
+            }
+
+            // Record the nonce so it can't be replayed
+            try {
+                await UsedChallenge.create({ nonce, expiresAt });
+            } catch (err) {
+                if (err.code === 11000) {
+                    throw new ApiError(401, 'Challenge already used');
+                }
+                throw err;
+            }
         }
 
         // Update last active and set online
@@ -75,22 +178,108 @@ router.post('/login', async (req, res) => {
         user.isOnline = true;
         await user.save();
 
-        // Generate JWT
-        const token = generateToken(user._id.toString());
+        // Start a session for this device
+        const { token, refreshToken, expiresIn } = await SessionService.create(
+            user._id,
+            { deviceId, deviceLabel },
+            { legacy }
+        );
 
         res.json({
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: user._id,
                 publicId: user.publicId,
                 encryptedProfile: user.encryptedProfile,
                 partnerId: user.partnerId,
                 inviteCode: user.inviteCode,
+                inviteCodeExpiresAt: user.inviteCodeExpiresAt,
+                deletionScheduledAt: user.deletionScheduledAt,
             },
+            keyEnrollmentRequired: !user.authPublicKey,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Rotate a refresh token into a new access/refresh pair
+ */
+router.post('/refresh', async (req, res, next) => {
+    try {
+        const result = await SessionService.rotate(req.body.refreshToken);
+
+        if (!result) {
+            throw new ApiError(401, 'Refresh token is not valid');
+        }
+
+        res.json({
+            token: result.token,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List active sessions (one per logged-in device)
+ */
+router.get('/sessions', auth, async (req, res, next) => {
+    try {
+        const sessions = await SessionService.list(req.user.id);
+
+        res.json({
+            sessions: sessions.map((session) => ({
+                id: session._id,
+                deviceId: session.deviceId,
+                deviceLabel: session.deviceLabel,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                current: session._id.toString() === req.user.sessionId,
+            })),
         });
     } catch (err) {
-        console.error('[Auth] Login error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one session (signs that device out)
+ */
+router.delete('/sessions/:id', auth, async (req, res, next) => {
+    try {
+        const revoked = await SessionService.revoke(req.user.id, req.params.id, 'revoked');
+
+        if (!revoked) {
+            throw new ApiError(404, 'Session not found');
+        }
+
+        res.json({ message: 'Session revoked' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Revoke all sessions (?exceptCurrent=true keeps this device signed in)
+ */
+router.delete('/sessions', auth, async (req, res, next) => {
+    try {
+        const except = req.query.exceptCurrent === 'true' ? req.user.sessionId : null;
+        const revoked = await SessionService.revokeAll(req.user.id, { except, reason: 'revoked' });
+
+        res.json({ message: 'Sessions revoked', revoked });
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -98,18 +287,19 @@ router.post('/login', async (req, res) => {
  * GET /api/auth/me
  * Get current user (protected)
  */
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth, async (req, res, next) => {
     try {
         const user = await User.findById(req.user.id).select('-__v');
 
         if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+            throw new ApiError(404, 'User not found');
         }
 
         // Update activity status on every /me call (keeps user "online")
         user.lastActiveAt = new Date();
         user.isOnline = true;
         await user.save();
+        await Device.touch(user._id, req.user.deviceId);
 
         res.json({
             id: user._id,
@@ -117,67 +307,315 @@ router.get('/me', auth, async (req, res) => {
             encryptedProfile: user.encryptedProfile,
             partnerId: user.partnerId,
             inviteCode: user.inviteCode,
+            inviteCodeExpiresAt: user.inviteCodeExpiresAt,
+            deletionScheduledAt: user.deletionScheduledAt,
         });
     } catch (err) {
-        console.error('[Auth] Me error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
 /**
- * POST /api/auth/link-partner
- * Link with partner using invite code
+ * GET /api/auth/export
+ * Download the account as JSON: encrypted profile and every owned blob
+ * (ciphertext included), streamed
  */
-router.post('/link-partner', auth, async (req, res) => {
+router.get('/export', auth, async (req, res, next) => {
     try {
-        const { inviteCode } = req.body;
+        // Errors past this point can't be reported - the response is streaming
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
 
-        if (!inviteCode) {
-            return res.status(400).json({ error: 'Invite code required' });
+        res.set({
+            'Content-Type': 'application/json',
+            'Content-Disposition': `attachment; filename="cuddle-export-${new Date().toISOString().slice(0, 10)}.json"`,
+            'Cache-Control': 'private, no-store',
+        });
+
+        await pipeline(Readable.from(AccountService.exportChunks(user)), res);
+    } catch (err) {
+        if (res.headersSent) {
+            console.error('[Account] Export error:', err.message);
+            return res.destroy();
         }
+        next(err);
+    }
+});
 
-        const partner = await User.findOne({ inviteCode: inviteCode.toUpperCase() });
+function describeImport(job) {
+    return {
+        id: job._id,
+        status: job.status,
+        total: job.total,
+        processed: job.processed,
+        imported: job.imported,
+        duplicates: job.duplicates,
+        failed: job.failed,
+        rejections: job.rejections,
+        error: job.lastError,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+    };
+}
 
-        if (!partner) {
-            return res.status(404).json({ error: 'Invalid invite code' });
+/**
+ * POST /api/auth/import
+ * Restore an archive from /export into this account. Runs in the
+ * background; safe to repeat (blobs already imported are skipped).
+ */
+router.post('/import', auth, express.json({ limit: IMPORT_BODY_LIMIT }), async (req, res, next) => {
+    try {
+        const job = await ImportService.start(req.user.id, req.body);
+        res.status(202).json(describeImport(job));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/auth/import/:id
+ * Import progress
+ */
+router.get('/import/:id', auth, async (req, res, next) => {
+    try {
+        const job = await ImportService.get(req.params.id, req.user.id);
+        res.json(describeImport(job));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/auth/account
+ * Schedule the account for deletion. Everything is erased after a grace
+ * period unless POST /api/auth/account/cancel-deletion is called first.
+ */
+router.delete('/account', auth, async (req, res, next) => {
+    try {
+        const deletionScheduledAt = await AccountService.scheduleDeletion(req.user.id);
+        res.status(202).json({
+            message: 'Account scheduled for deletion',
+            deletionScheduledAt,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/auth/account/cancel-deletion
+ * Keep the account
+ */
+router.post('/account/cancel-deletion', auth, async (req, res, next) => {
+    try {
+        await AccountService.cancelDeletion(req.user.id);
+        res.json({ message: 'Account deletion cancelled' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/auth/enroll-key
+ * Migration for accounts created before key login: register a login key once.
+ * After this, publicId-only login is refused for the account.
+ *
+ * A publicId-only login proves nothing, so enrolling takes the token the
+ * device got before key login (accepted here until it expires), or a
+ * legacy session while the operator's enrollment window is open.
+ */
+router.post('/enroll-key', preUpgradeAuth, async (req, res, next) => {
+    try {
+        const { authPublicKey } = req.body;
+
+        if (!KeyAuthService.parsePublicKey(authPublicKey)) {
+            throw new ApiError(400, 'Valid authPublicKey required');
         }
 
-        if (partner._id.toString() === req.user.id) {
-            return res.status(400).json({ error: 'Cannot link with yourself' });
+        if (!req.user.preUpgrade && !legacyEnrollmentOpen()) {
+            const legacySession = await Session.exists({ _id: req.user.sessionId, legacy: true });
+            if (legacySession) {
+                throw new ApiError(403, 'Enroll with the token from before key login', 'LEGACY_SESSION');
+            }
         }
 
-        if (partner.partnerId) {
-            return res.status(400).json({ error: 'Partner already linked' });
+        const user = await User.findOneAndUpdate(
+            { _id: req.user.id, authPublicKey: null },
+            { authPublicKey },
+            { new: true }
+        );
+
+        if (!user) {
+            throw new ApiError(409, 'Login key already enrolled');
         }
 
-        const user = await User.findById(req.user.id);
+        res.json({ message: 'Login key enrolled' });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        if (user.partnerId) {
-            return res.status(400).json({ error: 'You are already linked' });
+/**
+ * POST /api/auth/link-partner
+ * Ask the owner of an invite code to link - they must accept
+ * (POST /api/auth/link-requests/:id/accept) before anything is shared
+ */
+router.post('/link-partner', auth, linkLimiter, async (req, res, next) => {
+    try {
+        const { inviteCode } = req.body;
+
+        if (!inviteCode) {
+            throw new ApiError(400, 'Invite code required');
+        }
+        if (typeof inviteCode !== 'string' || !INVITE_CODE_FORMAT.test(inviteCode.toUpperCase())) {
+            throw new ApiError(404, 'Invalid invite code');
         }
 
-        // Link both users
-        user.partnerId = partner._id;
-        partner.partnerId = user._id;
+        const request = await PartnerService.requestLink(req.user.id, inviteCode);
 
-        await user.save();
-        await partner.save();
-
-        // Notify partner
-        const { default: NotificationService } = await import('../services/NotificationService.js');
-        await NotificationService.sendToUser(partner._id, {
-            title: 'Partner Connected',
-            body: 'Your partner has linked with you!',
-            type: 'PARTNER_LINKED'
+        res.status(202).json({
+            message: 'Link request sent',
+            requestId: request._id,
+            status: request.status,
+            expiresAt: request.expiresAt,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/auth/link-requests
+ * Pending link requests sent to and by the current user
+ */
+router.get('/link-requests', auth, async (req, res, next) => {
+    try {
+        const requests = await LinkRequest.find({
+            $or: [{ toUserId: req.user.id }, { fromUserId: req.user.id }],
+            status: 'pending',
+            expiresAt: { $gt: new Date() },
+        }).sort({ createdAt: -1 });
+
+        const describe = (request) => ({
+            id: request._id,
+            createdAt: request.createdAt,
+            expiresAt: request.expiresAt,
+        });
+
+        res.json({
+            incoming: requests.filter((r) => r.toUserId.toString() === req.user.id).map(describe),
+            outgoing: requests.filter((r) => r.fromUserId.toString() === req.user.id).map(describe),
         });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/auth/link-requests/:id/accept
+ * Accept a link request - links both accounts and uses up the invite code
+ */
+router.post('/link-requests/:id/accept', auth, async (req, res, next) => {
+    try {
+        const partner = await PartnerService.accept(req.user.id, req.params.id);
 
         res.json({
             message: 'Successfully linked with partner',
             partnerId: partner._id,
         });
     } catch (err) {
-        console.error('[Auth] Link partner error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
+    }
+});
+
+/**
+ * POST /api/auth/link-requests/:id/decline
+ * Decline a link request
+ */
+router.post('/link-requests/:id/decline', auth, async (req, res, next) => {
+    try {
+        await PartnerService.decline(req.user.id, req.params.id);
+        res.json({ message: 'Link request declined' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/auth/link-requests/:id
+ * Withdraw a link request you sent
+ */
+router.delete('/link-requests/:id', auth, async (req, res, next) => {
+    try {
+        await PartnerService.cancel(req.user.id, req.params.id);
+        res.json({ message: 'Link request cancelled' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/auth/invite-code
+ * Rotate the invite code { expiresInHours } (default 48, max 720).
+ * The old code stops working immediately.
+ */
+router.post('/invite-code', auth, async (req, res, next) => {
+    try {
+        const { expiresInHours } = req.body;
+        let ttl = INVITE_CODE_TTL;
+
+        if (expiresInHours !== undefined) {
+            ttl = Number(expiresInHours) * 60 * 60 * 1000;
+            if (!Number.isFinite(ttl) || ttl <= 0 || ttl > INVITE_CODE_MAX_TTL) {
+                throw new ApiError(400, 'expiresInHours must be between 0 and 720');
+            }
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        if (user.partnerId) {
+            throw new ApiError(400, 'You are already linked');
+        }
+
+        await user.generateInviteCode(ttl);
+
+        res.json({
+            inviteCode: user.inviteCode,
+            expiresAt: user.inviteCodeExpiresAt,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/auth/unlink
+ * Unlink from partner { sharedBlobs: 'detach' | 'delete' }
+ * detach (default): each side keeps what they wrote, privately
+ * delete: every blob shared between the two is deleted
+ */
+router.post('/unlink', auth, async (req, res, next) => {
+    try {
+        const { sharedBlobs = 'detach' } = req.body;
+
+        if (!UNLINK_MODES.includes(sharedBlobs)) {
+            throw new ApiError(400, `sharedBlobs must be one of: ${UNLINK_MODES.join(', ')}`);
+        }
+
+        await PartnerService.unlink(req.user.id, sharedBlobs);
+
+        const user = await User.findById(req.user.id);
+        res.json({
+            message: 'Unlinked from partner',
+            inviteCode: user.inviteCode,
+            inviteCodeExpiresAt: user.inviteCodeExpiresAt,
+        });
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -185,7 +623,7 @@ router.post('/link-partner', auth, async (req, res) => {
  * GET /api/auth/partner-status
  * Get partner's online status
  */
-router.get('/partner-status', auth, async (req, res) => {
+router.get('/partner-status', auth, async (req, res, next) => {
     try {
         const user = await User.findById(req.user.id);
         if (!user || !user.partnerId) {
@@ -197,9 +635,8 @@ router.get('/partner-status', auth, async (req, res) => {
             return res.json({ connected: false });
         }
 
-        // Consider "online" if active in last 5 minutes
-        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-        const isRecentlyActive = partner.lastActiveAt > fiveMinutesAgo;
+        // Consider "online" if any device was active in last 5 minutes
+        const isOnline = await Device.isUserOnline(partner._id);
 
         // Check if partner is typing (typing expires after 5 seconds)
         const typingTimeout = new Date(Date.now() - 5 * 1000);
@@ -207,27 +644,26 @@ router.get('/partner-status', auth, async (req, res) => {
 
         res.json({
             connected: true,
-            isOnline: partner.isOnline && isRecentlyActive,
+            isOnline,
             lastActive: partner.lastActiveAt,
             isTyping: isTyping,
         });
     } catch (err) {
-        console.error('[Auth] Partner status error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
 /**
  * POST /api/auth/logout
- * Set user offline
+ * End the current session and set user offline
  */
-router.post('/logout', auth, async (req, res) => {
+router.post('/logout', auth, async (req, res, next) => {
     try {
-        await User.findByIdAndUpdate(req.user.id, { isOnline: false });
+        await SessionService.revoke(req.user.id, req.user.sessionId);
+        await RealtimeService.setPresence(req.user.id, req.user.deviceId, false);
         res.json({ message: 'Logged out' });
     } catch (err) {
-        console.error('[Auth] Logout error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
@@ -235,15 +671,13 @@ router.post('/logout', auth, async (req, res) => {
  * POST /api/auth/heartbeat
  * Update activity timestamp
  */
-router.post('/heartbeat', auth, async (req, res) => {
+router.post('/heartbeat', auth, async (req, res, next) => {
     try {
-        await User.findByIdAndUpdate(req.user.id, {
-            lastActiveAt: new Date(),
-            isOnline: true
-        });
+        // Pushes presence to the partner only on an offline -> online transition
+        await RealtimeService.setPresence(req.user.id, req.user.deviceId, true);
         res.json({ ok: true });
     } catch (err) {
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
@@ -251,16 +685,19 @@ router.post('/heartbeat', auth, async (req, res) => {
  * POST /api/auth/typing
  * Update typing status
  */
-router.post('/typing', auth, async (req, res) => {
+router.post('/typing', auth, async (req, res, next) => {
     try {
         const { isTyping } = req.body;
-        await User.findByIdAndUpdate(req.user.id, {
+        const user = await User.findByIdAndUpdate(req.user.id, {
             isTyping: isTyping === true,
             typingAt: isTyping ? new Date() : null,
         });
+        if (user?.partnerId) {
+            RealtimeService.sendToUser(user.partnerId, 'typing', { isTyping: isTyping === true });
+        }
         res.json({ ok: true });
     } catch (err) {
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
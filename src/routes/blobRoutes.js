@@ -6,23 +6,134 @@
  */
 
 import express from 'express';
-import Blob from '../models/Blob.js';
+import mongoose from 'mongoose';
+import Blob, {
+    RECIPIENT_ROLES, COLLABORATIVE_TYPES, DEFAULT_EXPIRY, SEARCH_TOKEN_MAX, PRAYER_TYPES, PRAYER_STATUSES,
+    SYNC_SEQUENCE, notExpired, delivered, readableBy,
+} from '../models/Blob.js';
+import Tombstone from '../models/Tombstone.js';
+import Counter from '../models/Counter.js';
+import BlobRevision from '../models/BlobRevision.js';
+import Reaction, { MAX_REACTIONS_PER_USER } from '../models/Reaction.js';
 import { auth } from '../middleware/auth.js';
+import { ApiError, objectIdParam } from '../middleware/errors.js';
+import {
+    validateBlobCreate, validateBlobUpdate, validateReaction, isBase64, checkDeliverAt,
+} from '../middleware/validate.js';
+import RealtimeService from '../services/RealtimeService.js';
+import NotificationService from '../services/NotificationService.js';
 
 const router = express.Router();
 
+router.param('id', objectIdParam);
+router.param('reactionId', objectIdParam);
+
+const SYNC_PAGE_MAX = 500;
+const RECEIPT_STATUSES = ['delivered', 'read'];
+const RECEIPT_BATCH_MAX = 500;
+const SEARCH_PAGE_MAX = 100;
+const SCHEDULED_PAGE_MAX = 100;
+const SEARCH_QUERY_TOKENS_MAX = 10;
+
 /**
- * POST /api/blobs
- * Create a new encrypted blob
+ * Sync cursors are opaque to clients: base64url JSON of the last sync sequence seen
  */
-router.post('/', auth, async (req, res) => {
+function encodeCursor(seq) {
+    return Buffer.from(JSON.stringify({ s: seq })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) {
+        return 0;
+    }
     try {
-        const { type, ciphertext, iv, recipientId, encryptedMeta } = req.body;
+        const { s } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return Number.isInteger(s) && s >= 0 ? s : null;
+    } catch (err) {
+        return null;
+    }
+}
 
-        // Only type and ciphertext are required - iv is optional for shared plaintext
-        if (!type || !ciphertext) {
-            return res.status(400).json({ error: 'type and ciphertext are required' });
-        }
+const etag = (blob) => `"${blob.version || 1}"`;
+
+/**
+ * Version the client based its edit on: If-Match ("3" or W/"3") or body.version
+ * @returns {number|undefined|null} undefined if missing, null if malformed
+ */
+function expectedVersion(req) {
+    const header = req.get('If-Match');
+    const raw = header ? header.replace(/^W\//, '').replace(/"/g, '') : req.body.version;
+    if (raw === undefined || raw === null || raw === '') {
+        return undefined;
+    }
+    const version = Number(raw);
+    return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * 409 carrying the current content so the client can merge
+ */
+function versionConflict(blob) {
+    return new ApiError(409, 'Blob was changed on another device', 'VERSION_CONFLICT', {
+        version: blob.version || 1,
+        ciphertext: blob.ciphertext,
+        iv: blob.iv,
+        encryptedMeta: blob.encryptedMeta,
+        updatedAt: blob.updatedAt,
+    });
+}
+
+/**
+ * A blob the user owns or received (and that hasn't expired)
+ */
+function findReadable(blobId, userId) {
+    return Blob.findOne({
+        _id: blobId,
+        ...readableBy(userId),
+        ...notExpired(),
+    });
+}
+
+/**
+ * The other participant of a shared blob, if any (not a recipient who
+ * hasn't been delivered the blob yet)
+ */
+function otherParticipant(blob, userId) {
+    if (blob.userId.toString() !== userId.toString()) {
+        return blob.userId;
+    }
+    return blob.awaitingDelivery() ? null : blob.recipientId;
+}
+
+/**
+ * Tell senders which of their blobs just got a receipt (blob:delivered / blob:read)
+ */
+function announceReceipts(blobs, status, at) {
+    const bySender = new Map();
+    for (const blob of blobs) {
+        const senderId = blob.userId.toString();
+        bySender.set(senderId, [...(bySender.get(senderId) || []), blob._id]);
+    }
+    for (const [senderId, ids] of bySender) {
+        RealtimeService.sendToUser(senderId, `blob:${status}`, { ids, at });
+    }
+}
+
+/**
+ * POST /api/blobs
+ * Create a new encrypted blob. A shared blob with { deliverAt } stays
+ * hidden from the recipient until then and pushes (unless notify is
+ * false) when it's delivered.
+ */
+router.post('/', auth, validateBlobCreate, async (req, res, next) => {
+    try {
+        // Shape and recipient are checked by validateBlobCreate -
+        // iv is optional for shared plaintext
+        const {
+            type, ciphertext, iv, recipientId, recipientRole, encryptedMeta, keyVersion,
+            searchTokens, logicalDate, notify, expiresAt, deleteAfterRead, deliverAt,
+        } = req.body;
+        const sendAt = deliverAt ? new Date(deliverAt) : null;
 
         const blob = new Blob({
             userId: req.user.id,
@@ -30,40 +141,78 @@ router.post('/', auth, async (req, res) => {
             ciphertext,
             iv: iv || '', // Allow empty iv for plaintext shared content
             recipientId: recipientId || null,
+            recipientRole: recipientId
+                ? recipientRole || (COLLABORATIVE_TYPES.includes(type) ? 'editor' : 'viewer')
+                : null,
+            lastEditedBy: req.user.id,
+            prayerStatus: PRAYER_TYPES.includes(type) ? 'open' : null,
             encryptedMeta: encryptedMeta || null,
+            keyVersion: keyVersion || null,
+            searchTokens: searchTokens?.length ? [...new Set(searchTokens)] : undefined,
+            logicalDate: logicalDate ? new Date(logicalDate) : null,
+            expiresAt: expiresAt
+                ? new Date(expiresAt)
+                : DEFAULT_EXPIRY[type] && new Date((sendAt || new Date()).getTime() + DEFAULT_EXPIRY[type]),
+            // Checked by validateBlobCreate: future, and only for shared blobs
+            deliverAt: sendAt,
+            deliveryPending: Boolean(sendAt),
+            notify: notify !== false,
+            deleteAfterRead: deleteAfterRead === true,
+            // Parent was checked by validateBlobCreate
+            parentId: req.parentBlob?._id || null,
+            threadId: req.parentBlob ? req.parentBlob.threadId || req.parentBlob._id : null,
         });
 
         await blob.save();
 
+        // Push shared blobs to the recipient straight away (scheduled ones
+        // are announced by the BlobDeliverySweeper when they're due)
+        if (blob.recipientId && !blob.deliveryPending) {
+            RealtimeService.sendToUser(blob.recipientId, 'blob:new', blob.recipientView());
+
+            // Push to the recipient's devices unless the sender opted out
+            if (blob.notify) {
+                await NotificationService.notifyNewBlob(blob);
+            }
+        }
+
+        res.set('ETag', etag(blob));
         res.status(201).json({
             id: blob._id,
             type: blob.type,
+            version: blob.version,
+            expiresAt: blob.expiresAt,
+            deliverAt: blob.deliverAt,
+            parentId: blob.parentId,
+            threadId: blob.threadId,
             createdAt: blob.createdAt,
         });
     } catch (err) {
-        console.error('[Blob] Create error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
 /**
  * GET /api/blobs
- * List user's blobs (with optional type filter)
+ * List user's blobs (with optional type / prayerStatus filter)
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, async (req, res, next) => {
     try {
-        const { type, limit = 50, offset = 0 } = req.query;
+        const { type, prayerStatus, limit = 50, offset = 0 } = req.query;
 
-        const query = { userId: req.user.id };
+        const query = { userId: req.user.id, ...notExpired() };
         if (type) {
             query.type = type;
         }
+        if (prayerStatus) {
+            query.prayerStatus = prayerStatus;
+        }
 
         const blobs = await Blob.find(query)
             .sort({ createdAt: -1 })
             .skip(parseInt(offset))
             .limit(parseInt(limit))
-            .select('_id type ciphertext iv encryptedMeta createdAt updatedAt');
+            .select('_id type ciphertext iv encryptedMeta keyVersion logicalDate prayerStatus answeredAt version expiresAt createdAt updatedAt');
 
         const total = await Blob.countDocuments(query);
 
@@ -74,8 +223,7 @@ router.get('/', auth, async (req, res) => {
             offset: parseInt(offset),
         });
     } catch (err) {
-        console.error('[Blob] List error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
@@ -84,93 +232,780 @@ router.get('/', auth, async (req, res) => {
  * List blobs shared between user and partner (both sent and received)
  * This returns all messages in a conversation for proper chat display
  */
-router.get('/shared', auth, async (req, res) => {
+router.get('/shared', auth, async (req, res, next) => {
     try {
-        const { type, limit = 50, offset = 0 } = req.query;
+        const { type, prayerStatus, limit = 50, offset = 0 } = req.query;
 
         // Get messages where user is either sender or recipient
         // This enables proper chat display with own messages on right, partner's on left
         const query = {
-            $or: [
-                { userId: req.user.id },       // Messages sent by user
-                { recipientId: req.user.id }   // Messages received by user
-            ]
+            ...readableBy(req.user.id), // Sent by user, or received (once delivered)
+            ...notExpired(),
         };
         if (type) {
             query.type = type;
         }
+        if (prayerStatus) {
+            query.prayerStatus = prayerStatus;
+        }
 
         const blobs = await Blob.find(query)
             .sort({ createdAt: -1 })
             .skip(parseInt(offset))
             .limit(parseInt(limit))
-            .select('_id userId type ciphertext iv encryptedMeta createdAt');
+            .select('_id userId type ciphertext iv encryptedMeta keyVersion logicalDate prayerStatus answeredAt recipientRole lastEditedBy version deliverAt deliveredAt readAt expiresAt deleteAfterRead parentId threadId createdAt');
 
         res.json({
             blobs,
             total: await Blob.countDocuments(query),
         });
     } catch (err) {
-        console.error('[Blob] Shared list error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
+    }
+});
+
+/**
+ * GET /api/blobs/search?tokens=a,b&match=all|any&from=&to=&type=&prayerStatus=&scope=own|shared
+ * Filtered paging over blind-index tokens (URL-encoded base64) and
+ * logicalDate. With a date range (or sort=logicalDate) results are newest
+ * logicalDate first, otherwise newest createdAt first.
+ */
+router.get('/search', auth, async (req, res, next) => {
+    try {
+        const { type, prayerStatus, match = 'all', scope = 'own', from, to, sort } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), SEARCH_PAGE_MAX);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const tokens = [...new Set([req.query.tokens].flat().filter(Boolean).join(',').split(',').filter(Boolean))];
+        const errors = {};
+
+        if (tokens.length > SEARCH_QUERY_TOKENS_MAX || !tokens.every((t) => isBase64(t) && t.length <= SEARCH_TOKEN_MAX)) {
+            errors.tokens = `must be at most ${SEARCH_QUERY_TOKENS_MAX} base64 tokens`;
+        }
+        if (!['all', 'any'].includes(match)) {
+            errors.match = 'must be all or any';
+        }
+        if (!['own', 'shared'].includes(scope)) {
+            errors.scope = 'must be own or shared';
+        }
+        if (sort !== undefined && !['logicalDate', 'createdAt'].includes(sort)) {
+            errors.sort = 'must be logicalDate or createdAt';
+        }
+        for (const [field, value] of Object.entries({ from, to })) {
+            if (value !== undefined && isNaN(new Date(value))) {
+                errors[field] = 'must be a date';
+            }
+        }
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError(400, 'Invalid search', 'VALIDATION_FAILED', errors);
+        }
+
+        const query = scope === 'shared'
+            ? { ...readableBy(req.user.id), ...notExpired() }
+            : { userId: req.user.id, ...notExpired() };
+        if (type) {
+            query.type = type;
+        }
+        if (prayerStatus) {
+            query.prayerStatus = prayerStatus;
+        }
+        if (tokens.length > 0) {
+            query.searchTokens = match === 'any' ? { $in: tokens } : { $all: tokens };
+        }
+        if (from || to) {
+            query.logicalDate = { $ne: null };
+            if (from) query.logicalDate.$gte = new Date(from);
+            if (to) query.logicalDate.$lte = new Date(to);
+        }
+
+        const byLogicalDate = sort ? sort === 'logicalDate' : Boolean(from || to);
+        const blobs = await Blob.find(query)
+            .sort(byLogicalDate ? { logicalDate: -1, createdAt: -1 } : { createdAt: -1 })
+            .skip(offset)
+            .limit(limit)
+            .select('_id userId type ciphertext iv encryptedMeta keyVersion logicalDate prayerStatus answeredAt recipientRole version deliverAt expiresAt parentId threadId createdAt updatedAt');
+
+        res.json({
+            blobs,
+            total: await Blob.countDocuments(query),
+            limit,
+            offset,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/blobs/scheduled
+ * Blobs you sent that are waiting for their deliverAt, soonest first
+ */
+router.get('/scheduled', auth, async (req, res, next) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), SCHEDULED_PAGE_MAX);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const query = { userId: req.user.id, deliveryPending: true };
+
+        const blobs = await Blob.find(query)
+            .sort({ deliverAt: 1 })
+            .skip(offset)
+            .limit(limit)
+            .select('_id type ciphertext iv encryptedMeta keyVersion recipientId deliverAt expiresAt parentId threadId createdAt updatedAt');
+
+        res.json({
+            blobs,
+            total: await Blob.countDocuments(query),
+            limit,
+            offset,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/blobs/sync
+ * Incremental sync: everything created, updated or deleted since `cursor`
+ * (omit the cursor for a full sync). Keep calling with the returned
+ * cursor while `hasMore` is true. Changes from the last few seconds may
+ * only show up on a later call, once they're settled (see Counter).
+ */
+router.get('/sync', auth, async (req, res, next) => {
+    try {
+        const since = decodeCursor(req.query.cursor);
+        if (since === null) {
+            throw new ApiError(400, 'Invalid cursor');
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), SYNC_PAGE_MAX);
+
+        if (since === 0) {
+            await Blob.backfillSyncSeq(req.user.id);
+        }
+
+        // Changes above this may still be committing around gaps in the sequence
+        const until = Math.max(since, await Counter.settled(SYNC_SEQUENCE));
+
+        const [blobs, tombstones] = await Promise.all([
+            Blob.find({
+                ...readableBy(req.user.id),
+                syncSeq: { $gt: since, $lte: until },
+                ...notExpired(),
+            })
+                .sort({ syncSeq: 1 })
+                .limit(limit)
+                .select('_id userId recipientId recipientRole lastEditedBy type ciphertext iv encryptedMeta keyVersion searchTokens logicalDate prayerStatus answeredAt version deliverAt deliveredAt readAt expiresAt deleteAfterRead parentId threadId createdAt updatedAt syncSeq createdSeq'),
+            Tombstone.find({
+                audience: req.user.id,
+                syncSeq: { $gt: since, $lte: until },
+            })
+                .sort({ syncSeq: 1 })
+                .limit(limit)
+                .select('blobId syncSeq'),
+        ]);
+
+        // Merge both change streams in sequence order and cut at the page size
+        const changes = [...blobs, ...tombstones]
+            .sort((a, b) => a.syncSeq - b.syncSeq)
+            .slice(0, limit);
+
+        const created = [];
+        const updated = [];
+        const deleted = [];
+        for (const change of changes) {
+            if (change.blobId) {
+                deleted.push(change.blobId);
+                continue;
+            }
+            const { syncSeq, createdSeq, ...blob } = change.toObject();
+            (createdSeq > since ? created : updated).push(blob);
+        }
+
+        const lastSeq = changes.length > 0 ? changes[changes.length - 1].syncSeq : since;
+
+        res.json({
+            created,
+            updated,
+            deleted,
+            cursor: encodeCursor(lastSeq),
+            hasMore: blobs.length + tombstones.length > changes.length
+                || blobs.length === limit
+                || tombstones.length === limit,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/blobs/unread
+ * Unread received blobs per type { counts: { message: 3 }, total }
+ */
+router.get('/unread', auth, async (req, res, next) => {
+    try {
+        const groups = await Blob.aggregate([
+            {
+                $match: {
+                    recipientId: new mongoose.Types.ObjectId(req.user.id),
+                    readAt: null,
+                    ...notExpired(),
+                    ...delivered(),
+                },
+            },
+            { $group: { _id: '$type', count: { $sum: 1 } } },
+        ]);
+
+        const counts = Object.fromEntries(groups.map((group) => [group._id, group.count]));
+        res.json({
+            counts,
+            total: groups.reduce((sum, group) => sum + group.count, 0),
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/blobs/receipts
+ * Mark received blobs { ids: [...], status: 'delivered' | 'read' }
+ */
+router.post('/receipts', auth, async (req, res, next) => {
+    try {
+        const { ids, status } = req.body;
+
+        if (!RECEIPT_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${RECEIPT_STATUSES.join(', ')}`);
+        }
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > RECEIPT_BATCH_MAX
+            || !ids.every((id) => mongoose.isValidObjectId(id))) {
+            throw new ApiError(400, `ids must be 1-${RECEIPT_BATCH_MAX} blob ids`);
+        }
+
+        const { blobs, at } = await Blob.markReceipts(req.user.id, { _id: { $in: ids } }, status);
+        announceReceipts(blobs, status, at);
+
+        res.json({ marked: blobs.length, at });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/blobs/read-up-to
+ * Mark everything received up to and including { blobId } as read
+ * (optionally only { type })
+ */
+router.post('/read-up-to', auth, async (req, res, next) => {
+    try {
+        const { blobId, type } = req.body;
+
+        const upTo = mongoose.isValidObjectId(blobId) && await Blob.findOne({
+            _id: blobId,
+            ...readableBy(req.user.id),
+        }).select('createdAt');
+        if (!upTo) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const filter = { createdAt: { $lte: upTo.createdAt } };
+        if (type) {
+            filter.type = type;
+        }
+
+        const { blobs, at } = await Blob.markReceipts(req.user.id, filter, 'read');
+        announceReceipts(blobs, 'read', at);
+
+        res.json({ marked: blobs.length, at });
+    } catch (err) {
+        next(err);
     }
 });
 
 /**
  * GET /api/blobs/:id
- * Get a specific blob
+ * Get a specific blob (ETag is its version)
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, async (req, res, next) => {
     try {
         const blob = await Blob.findOne({
             _id: req.params.id,
-            $or: [
-                { userId: req.user.id },
-                { recipientId: req.user.id },
-            ],
+            ...readableBy(req.user.id),
+            ...notExpired(),
         });
 
         if (!blob) {
-            return res.status(404).json({ error: 'Blob not found' });
+            throw new ApiError(404, 'Blob not found');
         }
 
+        res.set('ETag', etag(blob));
         res.json(blob);
     } catch (err) {
-        console.error('[Blob] Get error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
 /**
  * PUT /api/blobs/:id
- * Update a blob (replace ciphertext)
+ * Update a blob (replace ciphertext) - owner, or a recipient with the
+ * editor role. The version being edited must be sent as If-Match or
+ * { version }; if the blob has moved on since, 409 VERSION_CONFLICT
+ * returns the current content to merge against.
  */
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, validateBlobUpdate, async (req, res, next) => {
     try {
-        const { ciphertext, iv, encryptedMeta } = req.body;
+        const { ciphertext, iv, encryptedMeta, keyVersion, searchTokens, logicalDate } = req.body;
 
         const blob = await Blob.findOne({
             _id: req.params.id,
-            userId: req.user.id, // Only owner can update
+            ...readableBy(req.user.id),
+            ...notExpired(),
         });
 
         if (!blob) {
-            return res.status(404).json({ error: 'Blob not found' });
+            throw new ApiError(404, 'Blob not found');
         }
 
-        if (ciphertext) blob.ciphertext = ciphertext;
-        if (iv) blob.iv = iv;
-        if (encryptedMeta) blob.encryptedMeta = encryptedMeta;
+        const role = blob.roleOf(req.user.id);
+        if (role === 'viewer') {
+            throw new ApiError(403, 'You can view this blob but not edit it', 'READ_ONLY');
+        }
+        // Recheck the participant in the update in case the role changes meanwhile
+        const filter = role === 'owner'
+            ? { _id: blob._id, userId: req.user.id }
+            : { _id: blob._id, recipientId: req.user.id, recipientRole: { $ne: 'viewer' } };
 
-        await blob.save();
+        const version = expectedVersion(req);
+        if (version === undefined) {
+            throw new ApiError(428, 'If-Match header or version required', 'VERSION_REQUIRED');
+        }
+        if (version === null) {
+            throw new ApiError(400, 'version must be a positive integer');
+        }
+        if (version !== (blob.version || 1)) {
+            throw versionConflict(blob);
+        }
+
+        const changes = { lastEditedBy: req.user.id };
+        if (ciphertext) changes.ciphertext = ciphertext;
+        if (iv) changes.iv = iv;
+        if (encryptedMeta) changes.encryptedMeta = encryptedMeta;
+        if (keyVersion) changes.keyVersion = keyVersion;
+        // Replace the index fields when sent (null / [] clears them)
+        if (searchTokens !== undefined) changes.searchTokens = [...new Set(searchTokens || [])];
+        if (logicalDate !== undefined) changes.logicalDate = logicalDate ? new Date(logicalDate) : null;
+
+        const updated = await Blob.updateVersion(filter, version, changes);
+        if (!updated) {
+            // Lost a race with another update
+            throw versionConflict(await Blob.findById(req.params.id));
+        }
+
+        // Let the other side of a shared blob refresh
+        const otherId = otherParticipant(updated, req.user.id);
+        if (otherId) {
+            RealtimeService.sendToUser(otherId, 'blob:updated', {
+                id: updated._id,
+                version: updated.version,
+                lastEditedBy: updated.lastEditedBy,
+            });
+        }
+
+        res.set('ETag', etag(updated));
+        res.json({
+            id: updated._id,
+            version: updated.version,
+            lastEditedBy: updated.lastEditedBy,
+            updatedAt: updated.updatedAt,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/blobs/:id/thread
+ * The thread a blob belongs to: the first blob and its replies, oldest first
+ */
+router.get('/:id/thread', auth, async (req, res, next) => {
+    try {
+        const { limit = 50, offset = 0 } = req.query;
+
+        const blob = await findReadable(req.params.id, req.user.id);
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const rootId = blob.threadId || blob._id;
+        const root = rootId.equals(blob._id) ? blob : await findReadable(rootId, req.user.id);
+
+        const query = {
+            threadId: rootId,
+            ...readableBy(req.user.id),
+            ...notExpired(),
+        };
+        const replies = await Blob.find(query)
+            .sort({ createdAt: 1 })
+            .skip(parseInt(offset))
+            .limit(parseInt(limit))
+            .select('_id userId type ciphertext iv encryptedMeta keyVersion version parentId threadId deliveredAt readAt createdAt');
+
+        res.json({
+            // null if the first blob has since been deleted
+            root,
+            replies,
+            total: await Blob.countDocuments(query),
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/blobs/:id/reactions
+ * Reactions to a blob, oldest first
+ */
+router.get('/:id/reactions', auth, async (req, res, next) => {
+    try {
+        const blob = await findReadable(req.params.id, req.user.id);
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const reactions = await Reaction.find({ blobId: blob._id })
+            .sort({ createdAt: 1 })
+            .select('-__v');
+
+        res.json({ reactions });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/blobs/:id/reactions
+ * React to a blob { ciphertext, iv } (encrypted emoji) - either participant
+ */
+router.post('/:id/reactions', auth, validateReaction, async (req, res, next) => {
+    try {
+        const { ciphertext, iv } = req.body;
+
+        const blob = await findReadable(req.params.id, req.user.id);
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const count = await Reaction.countDocuments({ blobId: blob._id, userId: req.user.id });
+        if (count >= MAX_REACTIONS_PER_USER) {
+            throw new ApiError(409, `At most ${MAX_REACTIONS_PER_USER} reactions per blob`, 'TOO_MANY_REACTIONS');
+        }
+
+        const reaction = await Reaction.create({
+            blobId: blob._id,
+            userId: req.user.id,
+            ciphertext,
+            iv: iv || '',
+        });
+
+        const otherId = otherParticipant(blob, req.user.id);
+        if (otherId) {
+            RealtimeService.sendToUser(otherId, 'blob:reaction', {
+                id: reaction._id,
+                blobId: blob._id,
+                userId: reaction.userId,
+                ciphertext: reaction.ciphertext,
+                iv: reaction.iv,
+                createdAt: reaction.createdAt,
+            });
+        }
+
+        res.status(201).json({
+            id: reaction._id,
+            blobId: blob._id,
+            createdAt: reaction.createdAt,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/blobs/:id/reactions/:reactionId
+ * Remove one of your own reactions
+ */
+router.delete('/:id/reactions/:reactionId', auth, async (req, res, next) => {
+    try {
+        const blob = await findReadable(req.params.id, req.user.id);
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const reaction = await Reaction.findOneAndDelete({
+            _id: req.params.reactionId,
+            blobId: blob._id,
+            userId: req.user.id,
+        });
+        if (!reaction) {
+            throw new ApiError(404, 'Reaction not found');
+        }
+
+        const otherId = otherParticipant(blob, req.user.id);
+        if (otherId) {
+            RealtimeService.sendToUser(otherId, 'blob:reaction-removed', {
+                id: reaction._id,
+                blobId: blob._id,
+            });
+        }
+
+        res.json({ message: 'Reaction removed' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/blobs/:id/receipt
+ * Mark one received blob { status: 'delivered' | 'read' }
+ */
+router.post('/:id/receipt', auth, async (req, res, next) => {
+    try {
+        const { status } = req.body;
+
+        if (!RECEIPT_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${RECEIPT_STATUSES.join(', ')}`);
+        }
+
+        const blob = await Blob.findOne({ _id: req.params.id, recipientId: req.user.id, ...notExpired(), ...delivered() })
+            .select('deliveredAt readAt');
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const { blobs, at } = await Blob.markReceipts(req.user.id, { _id: blob._id }, status);
+        announceReceipts(blobs, status, at);
 
         res.json({
             id: blob._id,
-            updatedAt: blob.updatedAt,
+            deliveredAt: blob.deliveredAt || at,
+            readAt: status === 'read' ? blob.readAt || at : blob.readAt,
         });
     } catch (err) {
-        console.error('[Blob] Update error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/blobs/:id/permissions
+ * Set what the recipient may do { recipientRole: 'editor' | 'viewer' } (owner only)
+ */
+router.put('/:id/permissions', auth, async (req, res, next) => {
+    try {
+        const { recipientRole } = req.body;
+        if (!RECIPIENT_ROLES.includes(recipientRole)) {
+            throw new ApiError(400, `recipientRole must be one of: ${RECIPIENT_ROLES.join(', ')}`);
+        }
+
+        const blob = await Blob.findOne({ _id: req.params.id, userId: req.user.id });
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+        if (!blob.recipientId) {
+            throw new ApiError(400, 'Blob is not shared');
+        }
+
+        // Save bumps syncSeq so the recipient's devices pick up the change
+        blob.recipientRole = recipientRole;
+        await blob.save();
+
+        if (!blob.awaitingDelivery()) {
+            RealtimeService.sendToUser(blob.recipientId, 'blob:permissions', {
+                id: blob._id,
+                recipientRole,
+            });
+        }
+
+        res.json({ id: blob._id, recipientRole });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/blobs/:id/status
+ * Move a prayer between open, answered and archived { status, answeredAt? }.
+ * answeredAt defaults to now; reopening clears it. Owner or editor.
+ */
+router.put('/:id/status', auth, async (req, res, next) => {
+    try {
+        const { status, answeredAt } = req.body;
+        const errors = {};
+        if (!PRAYER_STATUSES.includes(status)) {
+            errors.status = `must be one of: ${PRAYER_STATUSES.join(', ')}`;
+        }
+        const answered = answeredAt ? new Date(answeredAt) : null;
+        if (answered && (isNaN(answered) || answered > new Date())) {
+            errors.answeredAt = 'must be a date that has passed';
+        }
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError(400, 'Invalid status', 'VALIDATION_FAILED', errors);
+        }
+
+        const blob = await findReadable(req.params.id, req.user.id);
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+        if (!PRAYER_TYPES.includes(blob.type)) {
+            throw new ApiError(400, 'Only prayers have a status', 'NOT_A_PRAYER');
+        }
+        if (blob.roleOf(req.user.id) === 'viewer') {
+            throw new ApiError(403, 'You can view this blob but not edit it', 'READ_ONLY');
+        }
+
+        // Archiving keeps the answered date; save bumps syncSeq for other devices
+        blob.prayerStatus = status;
+        if (status === 'open') {
+            blob.answeredAt = null;
+        } else if (status === 'answered' || answered) {
+            blob.answeredAt = answered || blob.answeredAt || new Date();
+        }
+        await blob.save();
+
+        const update = { id: blob._id, prayerStatus: blob.prayerStatus, answeredAt: blob.answeredAt };
+        const otherId = otherParticipant(blob, req.user.id);
+        if (otherId) {
+            RealtimeService.sendToUser(otherId, 'blob:status', update);
+        }
+
+        res.json(update);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * Load a blob the user sent that hasn't been delivered yet
+ */
+async function findScheduled(blobId, userId) {
+    const blob = await Blob.findOne({ _id: blobId, userId });
+    if (!blob) {
+        throw new ApiError(404, 'Blob not found');
+    }
+    if (!blob.deliveryPending || !blob.awaitingDelivery()) {
+        throw new ApiError(409, 'Blob has already been delivered', 'ALREADY_DELIVERED');
+    }
+    return blob;
+}
+
+/**
+ * PUT /api/blobs/:id/schedule
+ * Move a scheduled delivery { deliverAt } (sender only, before delivery)
+ */
+router.put('/:id/schedule', auth, async (req, res, next) => {
+    try {
+        const { deliverAt } = req.body;
+        const error = checkDeliverAt(deliverAt);
+        if (error) {
+            throw new ApiError(400, 'Invalid schedule', 'VALIDATION_FAILED', { deliverAt: error });
+        }
+
+        const blob = await findScheduled(req.params.id, req.user.id);
+        const at = new Date(deliverAt);
+        if (blob.expiresAt && blob.expiresAt <= at) {
+            throw new ApiError(400, 'Invalid schedule', 'VALIDATION_FAILED', {
+                deliverAt: 'must be before the blob expires',
+            });
+        }
+
+        // Save bumps syncSeq so the sender's other devices see the new time
+        blob.deliverAt = at;
+        await blob.save();
+
+        res.json({ id: blob._id, deliverAt: blob.deliverAt });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/blobs/:id/schedule
+ * Cancel a scheduled delivery - the blob is deleted without the
+ * recipient ever seeing it
+ */
+router.delete('/:id/schedule', auth, async (req, res, next) => {
+    try {
+        await findScheduled(req.params.id, req.user.id);
+
+        // Take it off the recipient first so a delivery racing with us can't announce it
+        const claimed = await Blob.findOneAndUpdate(
+            { _id: req.params.id, deliveryPending: true, deliverAt: { $gt: new Date() } },
+            { $set: { deliveryPending: false, recipientId: null } }
+        );
+        if (!claimed) {
+            throw new ApiError(409, 'Blob has already been delivered', 'ALREADY_DELIVERED');
+        }
+        await Blob.purge({ _id: claimed._id }, 'cancelled');
+
+        res.json({ message: 'Delivery cancelled' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/blobs/:id/revisions
+ * Earlier versions of a blob, newest first (without content)
+ */
+router.get('/:id/revisions', auth, async (req, res, next) => {
+    try {
+        const blob = await Blob.findOne({
+            _id: req.params.id,
+            ...readableBy(req.user.id),
+            ...notExpired(),
+        }).select('version');
+
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const revisions = await BlobRevision.find({ blobId: blob._id })
+            .sort({ version: -1 })
+            .select('version createdAt replacedAt -_id');
+
+        res.json({
+            version: blob.version || 1,
+            revisions,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/blobs/:id/revisions/:version
+ * One earlier version, with its ciphertext
+ */
+router.get('/:id/revisions/:version', auth, async (req, res, next) => {
+    try {
+        const blob = await Blob.exists({
+            _id: req.params.id,
+            ...readableBy(req.user.id),
+            ...notExpired(),
+        });
+
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const revision = await BlobRevision.findOne({
+            blobId: req.params.id,
+            version: Number(req.params.version),
+        }).select('-__v');
+
+        if (!revision) {
+            throw new ApiError(404, 'Revision not found');
+        }
+
+        res.json(revision);
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -178,21 +1013,24 @@ router.put('/:id', auth, async (req, res) => {
  * DELETE /api/blobs/:id
  * Delete a blob
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, async (req, res, next) => {
     try {
-        const result = await Blob.deleteOne({
+        const [blob] = await Blob.purge({
             _id: req.params.id,
             userId: req.user.id, // Only owner can delete
         });
 
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ error: 'Blob not found' });
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        if (blob.recipientId && !blob.awaitingDelivery()) {
+            RealtimeService.sendToUser(blob.recipientId, 'blob:deleted', { id: blob._id });
         }
 
         res.json({ message: 'Blob deleted' });
     } catch (err) {
-        console.error('[Blob] Delete error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
@@ -0,0 +1,89 @@
+/**
+ * Device Routes
+ * List, rename and remove the devices a user is signed in on
+ */
+import express from 'express';
+import Device, { ACTIVE_WINDOW } from '../models/Device.js';
+import { auth } from '../middleware/auth.js';
+import { ApiError } from '../middleware/errors.js';
+import SessionService from '../services/SessionService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/devices
+ * List devices for current user
+ */
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const devices = await Device.find({ userId: req.user.id }).sort({ lastSeenAt: -1 });
+        const activeSince = new Date(Date.now() - ACTIVE_WINDOW);
+
+        res.json({
+            devices: devices.map((device) => ({
+                deviceId: device.deviceId,
+                label: device.label,
+                lastSeenAt: device.lastSeenAt,
+                isOnline: device.isOnline && device.lastSeenAt > activeSince,
+                pushEnabled: Boolean(device.pushSubscription?.endpoint),
+                current: device.deviceId === req.user.deviceId,
+                createdAt: device.createdAt,
+            })),
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PATCH /api/devices/:deviceId
+ * Rename a device
+ */
+router.patch('/:deviceId', auth, async (req, res, next) => {
+    try {
+        const { label } = req.body;
+
+        if (typeof label !== 'string') {
+            throw new ApiError(400, 'label is required');
+        }
+
+        const device = await Device.findOneAndUpdate(
+            { userId: req.user.id, deviceId: req.params.deviceId },
+            { label: label.slice(0, 64) },
+            { new: true }
+        );
+
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        res.json({ deviceId: device.deviceId, label: device.label });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/devices/:deviceId
+ * Remove a device: drops its push subscription and signs it out
+ */
+router.delete('/:deviceId', auth, async (req, res, next) => {
+    try {
+        const result = await Device.deleteOne({
+            userId: req.user.id,
+            deviceId: req.params.deviceId,
+        });
+
+        if (result.deletedCount === 0) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        await SessionService.revokeAll(req.user.id, { deviceId: req.params.deviceId, reason: 'device-removed' });
+
+        res.json({ message: 'Device removed' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
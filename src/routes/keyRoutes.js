@@ -0,0 +1,451 @@
+/**
+ * Key Routes - Public key directory and wrapped shared keys
+ *
+ * Each user publishes an identity key, a signed prekey and one-time
+ * prekeys. A partner fetches them, derives a wrapping key on the client
+ * and uploads the couple's shared key wrapped for the other side.
+ * The server only ever holds public keys and ciphertext.
+ *
+ * Identity key changes go into a signed key log; partners can verify a
+ * fingerprint and are alerted (KEY_CHANGED) when it changes.
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import KeyBundle, { MAX_PREKEYS } from '../models/KeyBundle.js';
+import WrappedKey from '../models/WrappedKey.js';
+import KeyVerification from '../models/KeyVerification.js';
+import { auth } from '../middleware/auth.js';
+import { ApiError } from '../middleware/errors.js';
+import { isBase64, isPublicKey } from '../middleware/validate.js';
+import RealtimeService from '../services/RealtimeService.js';
+import NotificationService from '../services/NotificationService.js';
+import KeyLogService from '../services/KeyLogService.js';
+
+const router = express.Router();
+
+const WRAPPED_KEY_MAX = 1024;
+const SIGNATURE_MAX = 256;
+const ALGORITHM_MAX = 64;
+
+/**
+ * Collect errors for a list of { keyId, publicKey }
+ */
+function checkPrekeys(prekeys, errors) {
+    if (!Array.isArray(prekeys) || prekeys.length > MAX_PREKEYS
+        || !prekeys.every((k) => Number.isInteger(k?.keyId) && isPublicKey(k.publicKey))) {
+        errors.prekeys = `must be at most ${MAX_PREKEYS} { keyId, publicKey }`;
+    }
+}
+
+async function requirePartner(userId) {
+    const user = await User.findById(userId).select('partnerId');
+    if (!user?.partnerId) {
+        throw new ApiError(400, 'No partner connected');
+    }
+    return user.partnerId;
+}
+
+/**
+ * Highest shared key version either partner has wrapped in this
+ * partnership (0 if none, or no partner)
+ */
+async function currentKeyVersion(userId, partnerId) {
+    if (!partnerId) {
+        return 0;
+    }
+    const latest = await WrappedKey.findOne({
+        $or: [
+            { fromUserId: userId, partnerId },
+            { fromUserId: partnerId, partnerId: userId },
+        ],
+    })
+        .sort({ keyVersion: -1 })
+        .select('keyVersion');
+    return latest?.keyVersion || 0;
+}
+
+function describeBundle(bundle) {
+    return {
+        userId: bundle.userId,
+        identityKey: bundle.identityKey,
+        signedPrekey: bundle.signedPrekey,
+        prekeyCount: bundle.prekeys.length,
+        updatedAt: bundle.updatedAt,
+    };
+}
+
+/**
+ * GET /api/keys/bundle
+ * Your published keys (prekeyCount tells when to upload more)
+ */
+router.get('/bundle', auth, async (req, res, next) => {
+    try {
+        const bundle = await KeyBundle.findOne({ userId: req.user.id });
+        if (!bundle) {
+            throw new ApiError(404, 'No keys published');
+        }
+        res.json(describeBundle(bundle));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/keys/bundle
+ * Publish keys { identityKey, signedPrekey: { keyId, publicKey, signature }, prekeys? }.
+ * A new identity key replaces all one-time prekeys.
+ */
+router.put('/bundle', auth, async (req, res, next) => {
+    try {
+        const { identityKey, signedPrekey, prekeys } = req.body;
+        const errors = {};
+
+        if (!isPublicKey(identityKey)) {
+            errors.identityKey = 'must be a base64 public key';
+        }
+        if (!signedPrekey || !Number.isInteger(signedPrekey.keyId) || !isPublicKey(signedPrekey.publicKey)
+            || !isBase64(signedPrekey.signature) || !signedPrekey.signature
+            || signedPrekey.signature.length > SIGNATURE_MAX) {
+            errors.signedPrekey = 'must be { keyId, publicKey, signature } in base64';
+        }
+        if (prekeys !== undefined) {
+            checkPrekeys(prekeys, errors);
+        }
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError(400, 'Invalid key bundle', 'VALIDATION_FAILED', errors);
+        }
+
+        const existing = await KeyBundle.findOne({ userId: req.user.id });
+        const identityChanged = existing && existing.identityKey !== identityKey;
+
+        const update = {
+            identityKey,
+            signedPrekey: {
+                keyId: signedPrekey.keyId,
+                publicKey: signedPrekey.publicKey,
+                signature: signedPrekey.signature,
+            },
+            updatedAt: new Date(),
+        };
+        if (prekeys !== undefined || identityChanged) {
+            update.prekeys = prekeys || [];
+        }
+
+        const bundle = await KeyBundle.findOneAndUpdate(
+            { userId: req.user.id },
+            update,
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        const { entry, changed } = await KeyLogService.append(req.user.id, identityKey);
+
+        const user = await User.findById(req.user.id).select('partnerId');
+        if (user?.partnerId) {
+            RealtimeService.sendToUser(user.partnerId, 'keys:updated', { identityChanged: changed });
+        }
+        if (user?.partnerId && changed) {
+            // Partner should re-verify before sending anything else
+            await NotificationService.sendToUser(user.partnerId, {
+                title: 'Us.',
+                body: "Your partner's security key changed",
+                type: 'KEY_CHANGED',
+                data: { fingerprint: entry.fingerprint, seq: entry.seq },
+            });
+        }
+
+        res.json({ ...describeBundle(bundle), fingerprint: entry.fingerprint, seq: entry.seq });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/keys/prekeys
+ * Upload more one-time prekeys { prekeys: [{ keyId, publicKey }] }
+ */
+router.post('/prekeys', auth, async (req, res, next) => {
+    try {
+        const { prekeys } = req.body;
+        const errors = {};
+        checkPrekeys(prekeys, errors);
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError(400, 'Invalid prekeys', 'VALIDATION_FAILED', errors);
+        }
+
+        // Only add while the total stays within MAX_PREKEYS
+        const bundle = await KeyBundle.findOneAndUpdate(
+            {
+                userId: req.user.id,
+                [`prekeys.${MAX_PREKEYS - prekeys.length}`]: { $exists: false },
+            },
+            { $push: { prekeys: { $each: prekeys } }, updatedAt: new Date() },
+            { new: true }
+        );
+        if (!bundle) {
+            const exists = await KeyBundle.exists({ userId: req.user.id });
+            if (!exists) {
+                throw new ApiError(404, 'Publish a key bundle first');
+            }
+            throw new ApiError(409, `At most ${MAX_PREKEYS} prekeys may be stored`, 'TOO_MANY_PREKEYS');
+        }
+
+        res.json({ prekeyCount: bundle.prekeys.length });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/keys/partner
+ * Partner's public keys plus one of their one-time prekeys (handed out
+ * once; null when they've run out)
+ */
+router.get('/partner', auth, async (req, res, next) => {
+    try {
+        const partnerId = await requirePartner(req.user.id);
+
+        // Take the first prekey atomically so two fetches never get the same one
+        const bundle = await KeyBundle.findOneAndUpdate(
+            { userId: partnerId },
+            { $pop: { prekeys: -1 } }
+        );
+        if (!bundle) {
+            throw new ApiError(404, 'Partner has not published keys yet');
+        }
+
+        const verification = await KeyLogService.verificationStatus(req.user.id, partnerId);
+
+        res.json({
+            ...describeBundle(bundle),
+            prekeyCount: Math.max(bundle.prekeys.length - 1, 0),
+            prekey: bundle.prekeys[0] || null,
+            fingerprint: verification.fingerprint,
+            verified: verification.verified,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/keys/log-key
+ * Server's Ed25519 public key for checking key log signatures
+ */
+router.get('/log-key', auth, (req, res) => {
+    res.json({ algorithm: 'ed25519', publicKey: KeyLogService.publicKey() });
+});
+
+/**
+ * GET /api/keys/log?afterSeq=
+ * Your own identity key log, oldest first
+ */
+router.get('/log', auth, async (req, res, next) => {
+    try {
+        const entries = await KeyLogService.entries(req.user.id, parseInt(req.query.afterSeq) || 0);
+        res.json({ entries });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/keys/partner/log?afterSeq=
+ * Partner's identity key log, oldest first. Clients check the hash chain
+ * and signatures, and that it continues from the last hash they saw.
+ */
+router.get('/partner/log', auth, async (req, res, next) => {
+    try {
+        const partnerId = await requirePartner(req.user.id);
+        const entries = await KeyLogService.entries(partnerId, parseInt(req.query.afterSeq) || 0);
+        res.json({ entries });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/keys/partner/verification
+ * Whether you have verified your partner's current key
+ */
+router.get('/partner/verification', auth, async (req, res, next) => {
+    try {
+        const partnerId = await requirePartner(req.user.id);
+        res.json(await KeyLogService.verificationStatus(req.user.id, partnerId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/keys/partner/verification
+ * Mark the partner's key verified { fingerprint } - must be their current one
+ */
+router.post('/partner/verification', auth, async (req, res, next) => {
+    try {
+        const { fingerprint } = req.body;
+        const partnerId = await requirePartner(req.user.id);
+
+        const latest = await KeyLogService.latest(partnerId);
+        if (!latest) {
+            throw new ApiError(404, 'Partner has not published keys yet');
+        }
+        if (typeof fingerprint !== 'string' || fingerprint.toLowerCase() !== latest.fingerprint) {
+            throw new ApiError(409, 'Fingerprint does not match the partner\'s current key', 'KEY_MISMATCH', {
+                fingerprint: latest.fingerprint,
+                seq: latest.seq,
+            });
+        }
+
+        await KeyVerification.findOneAndUpdate(
+            { userId: req.user.id, subjectId: partnerId },
+            { fingerprint: latest.fingerprint, seq: latest.seq, verifiedAt: new Date() },
+            { upsert: true }
+        );
+
+        res.json(await KeyLogService.verificationStatus(req.user.id, partnerId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/keys/partner/verification
+ * Withdraw a verification
+ */
+router.delete('/partner/verification', auth, async (req, res, next) => {
+    try {
+        const partnerId = await requirePartner(req.user.id);
+        await KeyVerification.deleteOne({ userId: req.user.id, subjectId: partnerId });
+        res.json(await KeyLogService.verificationStatus(req.user.id, partnerId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/keys/version
+ * Current shared key version for the couple (0 = none yet)
+ */
+router.get('/version', auth, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('partnerId');
+        res.json({ keyVersion: await currentKeyVersion(req.user.id, user?.partnerId) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/keys/wrapped?keyVersion=
+ * Shared keys wrapped for you (all versions, or just one): the current
+ * partner's, and your own from any partnership (partnerId tells which)
+ */
+router.get('/wrapped', auth, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('partnerId');
+        const query = {
+            toUserId: req.user.id,
+            fromUserId: { $in: [req.user.id, user?.partnerId].filter(Boolean) },
+        };
+        if (req.query.keyVersion !== undefined) {
+            query.keyVersion = parseInt(req.query.keyVersion);
+        }
+
+        const keys = await WrappedKey.find(query)
+            .sort({ keyVersion: -1, createdAt: -1 })
+            .select('-__v -toUserId');
+
+        res.json({
+            keyVersion: await currentKeyVersion(req.user.id, user?.partnerId),
+            keys,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/keys/wrapped
+ * Store the shared key wrapped for the partner (or yourself)
+ * { keyVersion, wrappedKey, iv?, ephemeralKey?, prekeyId?, algorithm?, toUserId? }.
+ * Rotate by wrapping a new key as the next keyVersion.
+ */
+router.post('/wrapped', auth, async (req, res, next) => {
+    try {
+        const { keyVersion, wrappedKey, iv, ephemeralKey, prekeyId, algorithm, toUserId } = req.body;
+        const partnerId = await requirePartner(req.user.id);
+        const errors = {};
+
+        if (!Number.isInteger(keyVersion) || keyVersion < 1) {
+            errors.keyVersion = 'must be a positive integer';
+        }
+        if (!isBase64(wrappedKey) || !wrappedKey || wrappedKey.length > WRAPPED_KEY_MAX) {
+            errors.wrappedKey = `must be base64 (at most ${WRAPPED_KEY_MAX} characters)`;
+        }
+        if (iv && !isBase64(iv)) {
+            errors.iv = 'must be base64';
+        }
+        if (ephemeralKey && !isPublicKey(ephemeralKey)) {
+            errors.ephemeralKey = 'must be a base64 public key';
+        }
+        if (prekeyId !== undefined && prekeyId !== null && !Number.isInteger(prekeyId)) {
+            errors.prekeyId = 'must be an integer';
+        }
+        if (algorithm && (typeof algorithm !== 'string' || algorithm.length > ALGORITHM_MAX)) {
+            errors.algorithm = `must be at most ${ALGORITHM_MAX} characters`;
+        }
+
+        const recipientId = toUserId || partnerId.toString();
+        if (!mongoose.isValidObjectId(recipientId)
+            || ![partnerId.toString(), req.user.id].includes(recipientId.toString())) {
+            errors.toUserId = 'must be your partner or yourself';
+        }
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError(400, 'Invalid wrapped key', 'VALIDATION_FAILED', errors);
+        }
+
+        // Versions go up one at a time
+        const current = await currentKeyVersion(req.user.id, partnerId);
+        if (keyVersion > current + 1) {
+            throw new ApiError(409, `Next key version is ${current + 1}`, 'KEY_VERSION_GAP', { keyVersion: current });
+        }
+
+        let wrapped;
+        try {
+            wrapped = await WrappedKey.create({
+                fromUserId: req.user.id,
+                toUserId: recipientId,
+                partnerId,
+                keyVersion,
+                wrappedKey,
+                iv: iv || '',
+                ephemeralKey: ephemeralKey || null,
+                prekeyId: prekeyId ?? null,
+                algorithm: algorithm || null,
+            });
+        } catch (err) {
+            if (err.code === 11000) {
+                throw new ApiError(409, `Key version ${keyVersion} already wrapped for this user`, 'KEY_VERSION_EXISTS');
+            }
+            throw err;
+        }
+
+        if (recipientId.toString() !== req.user.id) {
+            RealtimeService.sendToUser(recipientId, 'keys:wrapped', { keyVersion });
+        }
+
+        res.status(201).json({
+            id: wrapped._id,
+            keyVersion: wrapped.keyVersion,
+            toUserId: wrapped.toUserId,
+            partnerId: wrapped.partnerId,
+            createdAt: wrapped.createdAt,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -4,30 +4,136 @@
  */
 import express from 'express';
 import User from '../models/User.js';
+import Device from '../models/Device.js';
+import Blob from '../models/Blob.js';
 import { auth } from '../middleware/auth.js';
+import { ApiError } from '../middleware/errors.js';
+import { parseClock, isValidTimeZone } from '../utils/time.js';
 
 const router = express.Router();
 
 /**
  * POST /api/notifications/subscribe
- * Save push subscription for current user
+ * Save push subscription for the current device
  */
-router.post('/subscribe', auth, async (req, res) => {
+router.post('/subscribe', auth, async (req, res, next) => {
     try {
-        const { subscription } = req.body;
+        const { subscription, label } = req.body;
 
-        if (!subscription || !subscription.endpoint) {
-            return res.status(400).json({ error: 'Invalid subscription' });
+        // Without its keys a subscription fails on every send
+        const { endpoint, keys } = subscription || {};
+        if (typeof endpoint !== 'string' || !endpoint
+            || typeof keys?.p256dh !== 'string' || !keys.p256dh
+            || typeof keys.auth !== 'string' || !keys.auth) {
+            throw new ApiError(400, 'Invalid subscription');
         }
 
-        await User.findByIdAndUpdate(req.user.id, {
-            pushSubscription: subscription
-        });
+        // A browser reuses its endpoint - drop it from any other device record
+        await Device.updateMany(
+            {
+                'pushSubscription.endpoint': endpoint,
+                $nor: [{ userId: req.user.id, deviceId: req.user.deviceId }],
+            },
+            { $unset: { pushSubscription: 1 } }
+        );
+
+        const update = {
+            pushSubscription: {
+                endpoint,
+                keys: { p256dh: keys.p256dh, auth: keys.auth },
+            },
+            lastSeenAt: new Date(),
+        };
+        if (typeof label === 'string') {
+            update.label = label.slice(0, 64);
+        }
+
+        await Device.findOneAndUpdate(
+            { userId: req.user.id, deviceId: req.user.deviceId },
+            { $set: update },
+            { upsert: true }
+        );
 
         res.json({ success: true });
     } catch (err) {
-        console.error('[Notification] Subscribe error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
+    }
+});
+
+/**
+ * GET /api/notifications/settings
+ * Quiet hours and do-not-disturb for current user
+ */
+router.get('/settings', auth, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('notificationSettings');
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+
+        res.json(user.notificationSettings);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/notifications/settings
+ * Update quiet hours { enabled, start, end, timezone }, dndUntil
+ * and/or mutedBlobTypes (shared blob types that shouldn't push)
+ */
+router.put('/settings', auth, async (req, res, next) => {
+    try {
+        const { quietHours, dndUntil, mutedBlobTypes } = req.body;
+        const update = {};
+
+        if (quietHours !== undefined) {
+            const { enabled, start, end, timezone } = quietHours || {};
+            if (enabled !== undefined) {
+                update['notificationSettings.quietHours.enabled'] = enabled === true;
+            }
+            if (start !== undefined) {
+                if (parseClock(start) === null) {
+                    throw new ApiError(400, 'start must be HH:MM');
+                }
+                update['notificationSettings.quietHours.start'] = start;
+            }
+            if (end !== undefined) {
+                if (parseClock(end) === null) {
+                    throw new ApiError(400, 'end must be HH:MM');
+                }
+                update['notificationSettings.quietHours.end'] = end;
+            }
+            if (timezone !== undefined) {
+                if (!isValidTimeZone(timezone)) {
+                    throw new ApiError(400, 'Unknown timezone');
+                }
+                update['notificationSettings.quietHours.timezone'] = timezone;
+            }
+        }
+
+        if (dndUntil !== undefined) {
+            const until = dndUntil === null ? null : new Date(dndUntil);
+            if (until && isNaN(until)) {
+                throw new ApiError(400, 'dndUntil must be a date or null');
+            }
+            update['notificationSettings.dndUntil'] = until;
+        }
+
+        if (mutedBlobTypes !== undefined) {
+            const blobTypes = Blob.schema.path('type').enumValues;
+            if (!Array.isArray(mutedBlobTypes) || !mutedBlobTypes.every((t) => blobTypes.includes(t))) {
+                throw new ApiError(400, `mutedBlobTypes must be a list of: ${blobTypes.join(', ')}`);
+            }
+            update['notificationSettings.mutedBlobTypes'] = [...new Set(mutedBlobTypes)];
+        }
+
+        const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true })
+            .select('notificationSettings');
+
+        res.json(user.notificationSettings);
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -35,18 +141,17 @@ router.post('/subscribe', auth, async (req, res) => {
  * POST /api/notifications/test
  * Test push (for dev)
  */
-router.post('/test', auth, async (req, res) => {
+router.post('/test', auth, async (req, res, next) => {
     try {
-        const { NotificationService } = await import('../services/NotificationService.js');
-        await NotificationService.default.sendToUser(req.user.id, {
+        const NotificationService = (await import('../services/NotificationService.js')).default;
+        await NotificationService.sendToUser(req.user.id, {
             title: 'Us.',
             body: 'This is a test notification.',
             type: 'TEST'
         });
         res.json({ success: true });
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: 'Failed' });
+        next(err);
     }
 });
 
@@ -54,14 +159,14 @@ router.post('/test', auth, async (req, res) => {
  * POST /api/notifications/send-signal
  * Send push notification to partner when signal is sent
  */
-router.post('/send-signal', auth, async (req, res) => {
+router.post('/send-signal', auth, async (req, res, next) => {
     try {
         const { signalType, signalLabel } = req.body;
 
         // Get current user and their partner
         const user = await User.findById(req.user.id);
         if (!user || !user.partnerId) {
-            return res.status(400).json({ error: 'No partner connected' });
+            throw new ApiError(400, 'No partner connected');
         }
 
         // Send push notification to partner
@@ -75,8 +180,7 @@ router.post('/send-signal', auth, async (req, res) => {
 
         res.json({ success: true });
     } catch (err) {
-        console.error('[Notification] Send signal error:', err.message);
-        res.status(500).json({ error: 'Failed to send notification' });
+        next(err);
     }
 });
 
@@ -0,0 +1,182 @@
+/**
+ * Reminder Routes
+ * Recurring reminder pushes about a blob the user can read
+ * (e.g. a prayer every morning), fired by the ReminderService
+ */
+import express from 'express';
+import mongoose from 'mongoose';
+import Blob, { notExpired, readableBy } from '../models/Blob.js';
+import User from '../models/User.js';
+import Reminder, { MAX_REMINDERS_PER_USER, MAX_REMINDER_TIMES } from '../models/Reminder.js';
+import { auth } from '../middleware/auth.js';
+import { ApiError, objectIdParam } from '../middleware/errors.js';
+import ReminderService from '../services/ReminderService.js';
+import { parseClock, isValidTimeZone } from '../utils/time.js';
+
+const router = express.Router();
+
+router.param('id', objectIdParam);
+
+/**
+ * Check a schedule { times, days, timezone, active }; only fields present
+ * are checked when partial
+ * @returns {object} The fields to store
+ */
+function checkSchedule(body, partial) {
+    const { times, days, timezone, active } = body;
+    const schedule = {};
+    const errors = {};
+
+    if (times !== undefined || !partial) {
+        if (!Array.isArray(times) || times.length === 0 || times.length > MAX_REMINDER_TIMES
+            || !times.every((t) => parseClock(t) !== null)) {
+            errors.times = `must be 1-${MAX_REMINDER_TIMES} times as HH:MM`;
+        } else {
+            schedule.times = [...new Set(times)].sort();
+        }
+    }
+    if (days !== undefined) {
+        if (!Array.isArray(days) || !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+            errors.days = 'must be weekdays 0-6 (0 = Sunday)';
+        } else {
+            schedule.days = [...new Set(days)].sort();
+        }
+    }
+    if (timezone !== undefined) {
+        if (!isValidTimeZone(timezone)) {
+            errors.timezone = 'must be a known timezone';
+        } else {
+            schedule.timezone = timezone;
+        }
+    }
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') {
+            errors.active = 'must be a boolean';
+        } else {
+            schedule.active = active;
+        }
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw new ApiError(400, 'Invalid reminder', 'VALIDATION_FAILED', errors);
+    }
+    return schedule;
+}
+
+function describe(reminder) {
+    return {
+        id: reminder._id,
+        blobId: reminder.blobId,
+        times: reminder.times,
+        days: reminder.days,
+        timezone: reminder.timezone,
+        active: reminder.active,
+        nextFireAt: reminder.nextFireAt,
+        lastFiredAt: reminder.lastFiredAt,
+        createdAt: reminder.createdAt,
+    };
+}
+
+/**
+ * GET /api/reminders?blobId=
+ * Your reminders (optionally for one blob), soonest first
+ */
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const query = { userId: req.user.id };
+        if (req.query.blobId) {
+            if (!mongoose.isValidObjectId(req.query.blobId)) {
+                throw new ApiError(400, 'Invalid blobId');
+            }
+            query.blobId = req.query.blobId;
+        }
+
+        const reminders = await Reminder.find(query).sort({ nextFireAt: 1, createdAt: 1 });
+        res.json({ reminders: reminders.map(describe) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/reminders
+ * Create { blobId, times: ["07:00"], days?, timezone? } - timezone
+ * defaults to the one from your quiet hours settings
+ */
+router.post('/', auth, async (req, res, next) => {
+    try {
+        const { blobId } = req.body;
+        if (!mongoose.isValidObjectId(blobId)) {
+            throw new ApiError(400, 'Invalid reminder', 'VALIDATION_FAILED', { blobId: 'must be a valid id' });
+        }
+        const schedule = checkSchedule(req.body, false);
+
+        const blob = await Blob.exists({
+            _id: blobId,
+            ...readableBy(req.user.id),
+            ...notExpired(),
+        });
+        if (!blob) {
+            throw new ApiError(404, 'Blob not found');
+        }
+
+        const count = await Reminder.countDocuments({ userId: req.user.id });
+        if (count >= MAX_REMINDERS_PER_USER) {
+            throw new ApiError(409, `At most ${MAX_REMINDERS_PER_USER} reminders`, 'TOO_MANY_REMINDERS');
+        }
+
+        if (!schedule.timezone) {
+            const user = await User.findById(req.user.id).select('notificationSettings.quietHours.timezone');
+            schedule.timezone = user?.notificationSettings?.quietHours?.timezone || 'UTC';
+        }
+
+        const reminder = new Reminder({ userId: req.user.id, blobId, ...schedule });
+        reminder.nextFireAt = ReminderService.nextFireAt(reminder);
+        await reminder.save();
+
+        res.status(201).json(describe(reminder));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/reminders/:id
+ * Change the schedule { times?, days?, timezone?, active? }
+ */
+router.put('/:id', auth, async (req, res, next) => {
+    try {
+        const schedule = checkSchedule(req.body, true);
+
+        const reminder = await Reminder.findOne({ _id: req.params.id, userId: req.user.id });
+        if (!reminder) {
+            throw new ApiError(404, 'Reminder not found');
+        }
+
+        reminder.set(schedule);
+        reminder.nextFireAt = ReminderService.nextFireAt(reminder);
+        await reminder.save();
+
+        res.json(describe(reminder));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/reminders/:id
+ * Remove a reminder
+ */
+router.delete('/:id', auth, async (req, res, next) => {
+    try {
+        const result = await Reminder.deleteOne({ _id: req.params.id, userId: req.user.id });
+        if (result.deletedCount === 0) {
+            throw new ApiError(404, 'Reminder not found');
+        }
+        res.json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -1,77 +1,241 @@
 /**
  * WebRTC Signaling Routes
- * Handles offer/answer exchange for peer-to-peer audio connections
+ * Call sessions (ring -> accept/decline -> end) and offer/answer/ICE relay
+ * for peer-to-peer audio connections. State lives in CallService.
  */
 import express from 'express';
 import User from '../models/User.js';
 import { auth } from '../middleware/auth.js';
+import { ApiError } from '../middleware/errors.js';
+import CallRecord from '../models/CallRecord.js';
+import CallService from '../services/CallService.js';
+import TurnService from '../services/TurnService.js';
 
 const router = express.Router();
 
-// In-memory signaling store (for simplicity - could use Redis for scale)
-const signalingStore = new Map();
+const HISTORY_PAGE_MAX = 100;
+
+function describeCall(call) {
+    return {
+        callId: call.callId,
+        callerId: call.callerId,
+        participants: call.participants,
+        state: call.state,
+        createdAt: call.createdAt,
+        answeredAt: call.answeredAt,
+        endedAt: call.endedAt,
+    };
+}
+
+/**
+ * The caller's ringing/accepted call (for the pre-session endpoints)
+ */
+async function requireActiveCall(userId) {
+    const call = await CallService.activeCall(userId);
+    if (!call) {
+        throw new ApiError(409, 'No active call', 'NO_ACTIVE_CALL');
+    }
+    return call;
+}
+
+/**
+ * GET /api/webrtc/ice-servers
+ * STUN URLs plus short-lived TURN credentials (linked users only)
+ */
+router.get('/ice-servers', auth, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('partnerId');
+        if (!user?.partnerId) {
+            throw new ApiError(403, 'Link a partner to make calls', 'NO_PARTNER');
+        }
+
+        const { iceServers, expiresAt } = TurnService.iceServers(req.user.id);
+
+        res.set('Cache-Control', 'private, no-store');
+        res.json({ iceServers, expiresAt });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/webrtc/calls
+ * Ring the partner { sdp? } - state is 'busy' if they're already in a call
+ */
+router.post('/calls', auth, async (req, res, next) => {
+    try {
+        const call = await CallService.startCall(req.user.id, { sdp: req.body.sdp });
+        res.status(201).json({ call: describeCall(call) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/webrtc/calls/active
+ * The caller's ringing or accepted call, if any
+ */
+router.get('/calls/active', auth, async (req, res, next) => {
+    try {
+        const call = await CallService.activeCall(req.user.id);
+        res.json({ call: call ? describeCall(call) : null });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/webrtc/history
+ * Past calls, newest first (metadata only)
+ */
+router.get('/history', auth, async (req, res, next) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), HISTORY_PAGE_MAX);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const query = { participants: req.user.id };
+
+        const records = await CallRecord.find(query)
+            .sort({ startedAt: -1 })
+            .skip(offset)
+            .limit(limit);
+
+        const total = await CallRecord.countDocuments(query);
+
+        res.json({
+            calls: records.map((record) => ({
+                callId: record.callId,
+                callerId: record.callerId,
+                direction: record.callerId?.toString() === req.user.id ? 'outgoing' : 'incoming',
+                outcome: record.outcome,
+                startedAt: record.startedAt,
+                answeredAt: record.answeredAt,
+                endedAt: record.endedAt,
+                duration: record.duration,
+            })),
+            total,
+            limit,
+            offset,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/webrtc/calls/:callId
+ * Call state
+ */
+router.get('/calls/:callId', auth, async (req, res, next) => {
+    try {
+        const call = await CallService.getCallFor(req.params.callId, req.user.id);
+        res.json({ call: describeCall(call) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/webrtc/calls/:callId/accept
+ * Pick up { sdp? } (the answer)
+ */
+router.post('/calls/:callId/accept', auth, async (req, res, next) => {
+    try {
+        const call = await CallService.accept(req.params.callId, req.user.id, { sdp: req.body.sdp });
+        res.json({ call: describeCall(call) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/webrtc/calls/:callId/decline
+ * Reject a ringing call
+ */
+router.post('/calls/:callId/decline', auth, async (req, res, next) => {
+    try {
+        const call = await CallService.decline(req.params.callId, req.user.id);
+        res.json({ call: describeCall(call) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/webrtc/calls/:callId/end
+ * Hang up (or cancel while ringing)
+ */
+router.post('/calls/:callId/end', auth, async (req, res, next) => {
+    try {
+        const call = await CallService.end(req.params.callId, req.user.id);
+        res.json({ call: describeCall(call) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/webrtc/calls/:callId/signal
+ * Relay { type: offer|answer|ice-candidate, sdp?, candidate?, to? }
+ */
+router.post('/calls/:callId/signal', auth, async (req, res, next) => {
+    try {
+        const { type, sdp, candidate, to } = req.body;
+        if (type !== 'ice-candidate' && !sdp) {
+            throw new ApiError(400, 'SDP required');
+        }
+
+        await CallService.signal(req.params.callId, req.user.id, { type, sdp, candidate, to });
+        res.json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+});
 
 /**
  * POST /api/webrtc/offer
- * Send WebRTC offer to partner
+ * Send WebRTC offer to partner - starts a call, or renegotiates the active one
  */
-router.post('/offer', auth, async (req, res) => {
+router.post('/offer', auth, async (req, res, next) => {
     try {
         const { sdp } = req.body;
         if (!sdp) {
-            return res.status(400).json({ error: 'SDP offer required' });
+            throw new ApiError(400, 'SDP offer required');
         }
 
-        const user = await User.findById(req.user.id);
-        if (!user || !user.partnerId) {
-            return res.status(400).json({ error: 'No partner connected' });
+        let call = await CallService.activeCall(req.user.id);
+        if (call?.state === 'accepted') {
+            await CallService.signal(call.callId, req.user.id, { type: 'offer', sdp });
+        } else {
+            call = await CallService.startCall(req.user.id, { sdp });
         }
 
-        // Store offer for partner to poll
-        const partnerKey = user.partnerId.toString();
-        signalingStore.set(partnerKey, {
-            type: 'offer',
-            sdp,
-            from: req.user.id,
-            timestamp: Date.now()
-        });
-
-        res.json({ success: true });
+        res.json({ success: call.state !== 'busy', callId: call.callId, state: call.state });
     } catch (err) {
-        console.error('[WebRTC] Offer error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
 /**
  * POST /api/webrtc/answer
- * Send WebRTC answer to partner
+ * Send WebRTC answer to partner - accepts the ringing call
  */
-router.post('/answer', auth, async (req, res) => {
+router.post('/answer', auth, async (req, res, next) => {
     try {
         const { sdp } = req.body;
         if (!sdp) {
-            return res.status(400).json({ error: 'SDP answer required' });
+            throw new ApiError(400, 'SDP answer required');
         }
 
-        const user = await User.findById(req.user.id);
-        if (!user || !user.partnerId) {
-            return res.status(400).json({ error: 'No partner connected' });
+        let call = await requireActiveCall(req.user.id);
+        if (call.state === 'ringing' && call.callerId !== req.user.id) {
+            call = await CallService.accept(call.callId, req.user.id, { sdp });
+        } else {
+            await CallService.signal(call.callId, req.user.id, { type: 'answer', sdp });
         }
 
-        // Store answer for partner to poll
-        const partnerKey = user.partnerId.toString();
-        signalingStore.set(partnerKey, {
-            type: 'answer',
-            sdp,
-            from: req.user.id,
-            timestamp: Date.now()
-        });
-
-        res.json({ success: true });
+        res.json({ success: true, callId: call.callId, state: call.state });
     } catch (err) {
-        console.error('[WebRTC] Answer error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
@@ -79,76 +243,55 @@ router.post('/answer', auth, async (req, res) => {
  * POST /api/webrtc/ice-candidate
  * Exchange ICE candidates
  */
-router.post('/ice-candidate', auth, async (req, res) => {
+router.post('/ice-candidate', auth, async (req, res, next) => {
     try {
         const { candidate } = req.body;
 
-        const user = await User.findById(req.user.id);
-        if (!user || !user.partnerId) {
-            return res.status(400).json({ error: 'No partner connected' });
-        }
-
-        const partnerKey = `ice-${user.partnerId.toString()}`;
-        const existing = signalingStore.get(partnerKey) || [];
-        existing.push({ candidate, from: req.user.id, timestamp: Date.now() });
-        signalingStore.set(partnerKey, existing);
+        const call = await requireActiveCall(req.user.id);
+        await CallService.signal(call.callId, req.user.id, { type: 'ice-candidate', candidate });
 
-        res.json({ success: true });
+        res.json({ success: true, callId: call.callId });
     } catch (err) {
-        console.error('[WebRTC] ICE error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
 /**
  * GET /api/webrtc/poll
- * Poll for incoming offers/answers/ICE candidates
+ * Poll for queued offers/answers/ICE candidates/call updates.
+ * `signals` has everything in order; `signal` and `iceCandidates` keep the
+ * old shape (latest non-ICE signal, candidates separately).
  */
-router.get('/poll', auth, async (req, res) => {
+router.get('/poll', auth, async (req, res, next) => {
     try {
-        const myKey = req.user.id;
-        const iceKey = `ice-${req.user.id}`;
-
-        const signal = signalingStore.get(myKey);
-        const iceCandidates = signalingStore.get(iceKey) || [];
-
-        // Clear after reading
-        if (signal) signalingStore.delete(myKey);
-        if (iceCandidates.length > 0) signalingStore.delete(iceKey);
+        const signals = await CallService.poll(req.user.id);
+        const iceCandidates = signals.filter((s) => s.type === 'ice-candidate');
+        const others = signals.filter((s) => s.type !== 'ice-candidate');
 
         res.json({
-            signal: signal || null,
-            iceCandidates
+            signal: others[others.length - 1] || null,
+            iceCandidates,
+            signals,
         });
     } catch (err) {
-        console.error('[WebRTC] Poll error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
 /**
  * POST /api/webrtc/end
- * Signal end of audio session
+ * Signal end of audio session (ends the active call, if any)
  */
-router.post('/end', auth, async (req, res) => {
+router.post('/end', auth, async (req, res, next) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (!user || !user.partnerId) {
-            return res.json({ success: true });
+        const call = await CallService.activeCall(req.user.id);
+        if (call) {
+            await CallService.end(call.callId, req.user.id);
         }
 
-        // Signal partner that session ended
-        const partnerKey = user.partnerId.toString();
-        signalingStore.set(partnerKey, {
-            type: 'end',
-            from: req.user.id,
-            timestamp: Date.now()
-        });
-
         res.json({ success: true });
     } catch (err) {
-        console.error('[WebRTC] End error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+        next(err);
     }
 });
 
@@ -0,0 +1,199 @@
+/**
+ * Account Service
+ * Data export and account deletion.
+ *
+ * Deletion is scheduled first and carried out by the sweeper once the
+ * grace period has passed, so a user can change their mind.
+ */
+import User from '../models/User.js';
+import Blob from '../models/Blob.js';
+import Tombstone from '../models/Tombstone.js';
+import Device from '../models/Device.js';
+import Session from '../models/Session.js';
+import Notification from '../models/Notification.js';
+import LinkRequest from '../models/LinkRequest.js';
+import CallRecord from '../models/CallRecord.js';
+import ImportJob from '../models/ImportJob.js';
+import Reaction from '../models/Reaction.js';
+import KeyBundle from '../models/KeyBundle.js';
+import WrappedKey from '../models/WrappedKey.js';
+import KeyLogEntry from '../models/KeyLogEntry.js';
+import Reminder from '../models/Reminder.js';
+import KeyVerification from '../models/KeyVerification.js';
+import { ApiError } from '../middleware/errors.js';
+import PartnerService from './PartnerService.js';
+import SessionService from './SessionService.js';
+
+export const DELETION_GRACE = 7 * 24 * 60 * 60 * 1000;
+export const EXPORT_FORMAT = 'cuddle-export';
+export const EXPORT_VERSION = 1;
+
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+
+class AccountService {
+    constructor() {
+        this.timer = null;
+    }
+
+    /**
+     * Export archive as JSON text chunks, one blob at a time, so large
+     * accounts never sit in memory. Ciphertext is exported as stored.
+     * @param {object} user - The User, loaded before streaming starts
+     */
+    async *exportChunks(user) {
+        const header = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date(),
+            user: {
+                publicId: user.publicId,
+                encryptedProfile: user.encryptedProfile,
+                authPublicKey: user.authPublicKey,
+                notificationSettings: user.notificationSettings,
+                createdAt: user.createdAt,
+            },
+        };
+        yield `${JSON.stringify(header).slice(0, -1)},"blobs":[`;
+
+        const cursor = Blob.find({ userId: user._id })
+            .sort({ createdAt: 1 })
+            .select('_id type ciphertext iv encryptedMeta keyVersion searchTokens logicalDate prayerStatus answeredAt recipientId createdAt updatedAt')
+            .lean()
+            .cursor();
+
+        let first = true;
+        for await (const blob of cursor) {
+            yield (first ? '' : ',') + JSON.stringify({
+                id: blob._id,
+                type: blob.type,
+                ciphertext: blob.ciphertext,
+                iv: blob.iv,
+                encryptedMeta: blob.encryptedMeta,
+                keyVersion: blob.keyVersion ?? null,
+                searchTokens: blob.searchTokens,
+                logicalDate: blob.logicalDate ?? null,
+                prayerStatus: blob.prayerStatus ?? null,
+                answeredAt: blob.answeredAt ?? null,
+                shared: Boolean(blob.recipientId),
+                createdAt: blob.createdAt,
+                updatedAt: blob.updatedAt,
+            });
+            first = false;
+        }
+
+        yield ']}';
+    }
+
+    /**
+     * Schedule the account for deletion after the grace period
+     * @returns {Date} When the account will be erased
+     */
+    async scheduleDeletion(userId) {
+        const user = await User.findOneAndUpdate(
+            { _id: userId, deletionScheduledAt: null },
+            { deletionScheduledAt: new Date(Date.now() + DELETION_GRACE) },
+            { new: true }
+        );
+        if (!user) {
+            const existing = await User.findById(userId).select('deletionScheduledAt');
+            if (!existing) {
+                throw new ApiError(404, 'User not found');
+            }
+            return existing.deletionScheduledAt;
+        }
+
+        console.log(`[Account] Deletion scheduled for ${user._id} at ${user.deletionScheduledAt.toISOString()}`);
+        return user.deletionScheduledAt;
+    }
+
+    /**
+     * Call off a scheduled deletion
+     */
+    async cancelDeletion(userId) {
+        const user = await User.findOneAndUpdate(
+            { _id: userId, deletionScheduledAt: { $ne: null } },
+            { deletionScheduledAt: null }
+        );
+        if (!user) {
+            throw new ApiError(409, 'No deletion scheduled', 'NO_DELETION_SCHEDULED');
+        }
+    }
+
+    /**
+     * Remove the user and everything that belongs to them. The partner is
+     * unlinked first and keeps what they wrote as private blobs.
+     */
+    async erase(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            return false;
+        }
+
+        if (user.partnerId) {
+            await PartnerService.unlink(userId, 'detach');
+        }
+        // Anyone still pointing at this account
+        await User.updateMany({ partnerId: userId }, { partnerId: null });
+
+        await Blob.purge({ userId }, 'account-deleted');
+        await Blob.detach({ recipientId: userId }, 'account-deleted');
+        await Tombstone.updateMany({ audience: userId }, { $pull: { audience: userId } });
+        await Tombstone.deleteMany({ audience: { $size: 0 } });
+        await Reaction.deleteMany({ userId });
+        await KeyBundle.deleteMany({ userId });
+        await WrappedKey.deleteMany({ $or: [{ fromUserId: userId }, { toUserId: userId }] });
+        await KeyLogEntry.deleteMany({ userId });
+        await Reminder.deleteMany({ userId });
+        await KeyVerification.deleteMany({ $or: [{ userId }, { subjectId: userId }] });
+
+        await SessionService.revokeAll(userId, { reason: 'account-deleted' });
+        await Session.deleteMany({ userId });
+        await Device.deleteMany({ userId });
+        await Notification.deleteMany({ userId });
+        await ImportJob.deleteMany({ userId });
+        await LinkRequest.deleteMany({ $or: [{ fromUserId: userId }, { toUserId: userId }] });
+        // The partner keeps their side of the call history
+        await CallRecord.updateMany({ participants: userId }, { $pull: { participants: userId } });
+        await CallRecord.updateMany({ callerId: userId }, { callerId: null });
+        await CallRecord.deleteMany({ participants: { $size: 0 } });
+
+        await User.deleteOne({ _id: userId });
+        console.log(`[Account] Erased ${userId}`);
+        return true;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sweep().catch((err) => {
+                console.error('[Account] Sweep error:', err.message);
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * @returns {number} Accounts erased
+     */
+    async sweep() {
+        const due = await User.find({ deletionScheduledAt: { $lte: new Date() } }).select('_id');
+
+        let erased = 0;
+        for (const user of due) {
+            // Skip anyone who cancelled since the query
+            const stillDue = await User.exists({ _id: user._id, deletionScheduledAt: { $lte: new Date() } });
+            if (stillDue && await this.erase(user._id)) {
+                erased++;
+            }
+        }
+        return erased;
+    }
+}
+
+export default new AccountService();
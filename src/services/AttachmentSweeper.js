@@ -0,0 +1,49 @@
+/**
+ * Attachment Sweeper
+ * Removes uploads that were started but never committed.
+ */
+import Attachment from '../models/Attachment.js';
+import { getStorage } from './storage/index.js';
+
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+const ABANDON_AFTER = 24 * 60 * 60 * 1000;
+
+class AttachmentSweeper {
+    constructor() {
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sweep().catch((err) => {
+                console.error('[Attachment] Sweep error:', err.message);
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * @returns {number} Abandoned uploads removed
+     */
+    async sweep() {
+        const stale = await Attachment.find({
+            status: 'uploading',
+            createdAt: { $lt: new Date(Date.now() - ABANDON_AFTER) },
+        }).select('_id');
+
+        for (const attachment of stale) {
+            await getStorage().remove(attachment.storageKey);
+            await Attachment.deleteOne({ _id: attachment._id, status: 'uploading' });
+        }
+        return stale.length;
+    }
+}
+
+export default new AttachmentSweeper();
@@ -0,0 +1,86 @@
+/**
+ * Blob Delivery Sweeper
+ * Delivers blobs scheduled with deliverAt once they're due: the blob gets
+ * a new sync sequence (so the recipient's next sync picks it up), and the
+ * recipient is sent blob:new and (unless the sender opted out) a push,
+ * as if it had just been sent.
+ */
+import Blob, { SYNC_SEQUENCE } from '../models/Blob.js';
+import Counter from '../models/Counter.js';
+import RealtimeService from './RealtimeService.js';
+import NotificationService from './NotificationService.js';
+
+const SWEEP_INTERVAL = 30 * 1000;
+const BATCH_SIZE = 100;
+
+class BlobDeliverySweeper {
+    constructor() {
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sweep().catch((err) => {
+                console.error('[Blob] Delivery sweep error:', err.message);
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * @returns {number} Blobs delivered
+     */
+    async sweep() {
+        let count = 0;
+
+        for (;;) {
+            const due = await Blob.find({ deliveryPending: true, deliverAt: { $lte: new Date() } })
+                .sort({ deliverAt: 1 })
+                .limit(BATCH_SIZE)
+                .select('_id');
+
+            for (const { _id } of due) {
+                if (await this.deliver(_id)) {
+                    count++;
+                }
+            }
+
+            if (due.length < BATCH_SIZE) {
+                break;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Claim one due blob and announce it to the recipient
+     * @returns {boolean} false if it was cancelled or delivered meanwhile
+     */
+    async deliver(blobId) {
+        const syncSeq = await Counter.next(SYNC_SEQUENCE);
+        const blob = await Blob.findOneAndUpdate(
+            { _id: blobId, deliveryPending: true, deliverAt: { $lte: new Date() } },
+            // New to the recipient, so it syncs as created
+            { $set: { deliveryPending: false, syncSeq, createdSeq: syncSeq } },
+            { new: true }
+        );
+        if (!blob?.recipientId) {
+            return false;
+        }
+
+        RealtimeService.sendToUser(blob.recipientId, 'blob:new', blob.recipientView());
+        if (blob.notify) {
+            await NotificationService.notifyNewBlob(blob);
+        }
+        return true;
+    }
+}
+
+export default new BlobDeliverySweeper();
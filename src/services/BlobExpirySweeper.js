@@ -0,0 +1,78 @@
+/**
+ * Blob Expiry Sweeper
+ * Purges self-destructing blobs once their expiresAt has passed (view-once
+ * blobs get one when read). Purging leaves tombstones for sync, and both
+ * sides are told over the real-time channel to drop their copies.
+ */
+import Blob from '../models/Blob.js';
+import RealtimeService from './RealtimeService.js';
+
+const SWEEP_INTERVAL = 60 * 1000;
+const BATCH_SIZE = 500;
+
+class BlobExpirySweeper {
+    constructor() {
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sweep().catch((err) => {
+                console.error('[Blob] Expiry sweep error:', err.message);
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * @returns {number} Blobs purged
+     */
+    async sweep() {
+        let purged = 0;
+
+        for (;;) {
+            const due = await Blob.find({ expiresAt: { $lte: new Date() } })
+                .limit(BATCH_SIZE)
+                .select('_id');
+            if (due.length === 0) {
+                break;
+            }
+
+            const blobs = await Blob.purge({ _id: { $in: due.map((blob) => blob._id) } }, 'expired');
+            this.announce(blobs);
+            purged += blobs.length;
+
+            if (due.length < BATCH_SIZE) {
+                break;
+            }
+        }
+        return purged;
+    }
+
+    /**
+     * blob:purged { ids } to everyone who had a copy (not a recipient the
+     * blob was never delivered to)
+     */
+    announce(blobs) {
+        const byUser = new Map();
+        for (const blob of blobs) {
+            const recipientId = blob.deliveryPending ? null : blob.recipientId;
+            for (const userId of [blob.userId, recipientId].filter(Boolean)) {
+                const key = userId.toString();
+                byUser.set(key, [...(byUser.get(key) || []), blob._id]);
+            }
+        }
+        for (const [userId, ids] of byUser) {
+            RealtimeService.sendToUser(userId, 'blob:purged', { ids });
+        }
+    }
+}
+
+export default new BlobExpirySweeper();
@@ -0,0 +1,295 @@
+/**
+ * Call Service
+ * WebRTC call sessions: call IDs, an explicit state machine and a
+ * per-recipient signal queue with TTL.
+ *
+ *   ringing --accept--> accepted --end--> ended
+ *      |---decline--> declined
+ *      |---timeout / caller hangs up--> missed
+ *   (callee already in a call) --> busy
+ *
+ * Signals go straight over the WebSocket when the recipient is connected
+ * to this instance, otherwise they wait in the signaling store for /poll.
+ * Ringing also sends an INCOMING_CALL push; every finished call is
+ * written to CallRecord (metadata only).
+ */
+import crypto from 'crypto';
+import User from '../models/User.js';
+import CallRecord from '../models/CallRecord.js';
+import { ApiError } from '../middleware/errors.js';
+import { getSignalingStore } from './signaling/index.js';
+import NotificationService from './NotificationService.js';
+import RealtimeService from './RealtimeService.js';
+
+export const RING_TIMEOUT = 45 * 1000;
+const SIGNAL_TTL = 60 * 1000;
+const CALL_TTL = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL = 5 * 1000;
+
+export const SIGNAL_TYPES = ['offer', 'answer', 'ice-candidate'];
+const ACTIVE_STATES = ['ringing', 'accepted'];
+
+class CallService {
+    constructor() {
+        this.timer = null;
+    }
+
+    get store() {
+        return getSignalingStore();
+    }
+
+    /**
+     * Start a call to the user's partner
+     * @param {string} callerId - Caller
+     * @param {object} options - { sdp } initial offer (optional)
+     * @returns {object} The call (state 'ringing', or 'busy')
+     */
+    async startCall(callerId, { sdp } = {}) {
+        const caller = await User.findById(callerId).select('partnerId');
+        if (!caller?.partnerId) {
+            throw new ApiError(400, 'No partner connected');
+        }
+
+        const current = await this.store.findActiveCall(callerId.toString());
+        if (current) {
+            throw new ApiError(409, 'Already in a call', 'CALL_IN_PROGRESS', { callId: current.callId });
+        }
+
+        const calleeIds = [caller.partnerId.toString()];
+        const now = new Date();
+        const busy = await Promise.all(calleeIds.map((id) => this.store.findActiveCall(id)));
+
+        const call = await this.store.createCall({
+            callId: crypto.randomUUID(),
+            callerId: callerId.toString(),
+            participants: [callerId.toString(), ...calleeIds],
+            state: busy.some(Boolean) ? 'busy' : 'ringing',
+            createdAt: now,
+            updatedAt: now,
+            answeredAt: null,
+            endedAt: busy.some(Boolean) ? now : null,
+            expiresAt: new Date(now.getTime() + CALL_TTL),
+        });
+
+        if (call.state === 'ringing') {
+            await this.dispatch(call, callerId, { type: 'offer', sdp });
+            for (const calleeId of calleeIds) {
+                await NotificationService.sendToUser(calleeId, {
+                    title: 'Us.',
+                    body: 'Your partner is calling',
+                    type: 'INCOMING_CALL',
+                    data: { callId: call.callId, callerId: call.callerId },
+                }, { ttl: RING_TIMEOUT / 1000 });
+            }
+        } else {
+            await this.finish(call);
+        }
+
+        return call;
+    }
+
+    /**
+     * Callee picks up
+     */
+    async accept(callId, userId, { sdp } = {}) {
+        const call = await this.getCallFor(callId, userId);
+        if (call.callerId === userId.toString()) {
+            throw new ApiError(400, 'Caller cannot accept own call');
+        }
+
+        const accepted = await this.transition(call, ['ringing'], 'accepted', { answeredAt: new Date() });
+        await this.dispatch(accepted, userId, { type: 'answer', sdp });
+        return accepted;
+    }
+
+    /**
+     * Callee rejects
+     */
+    async decline(callId, userId) {
+        const call = await this.getCallFor(callId, userId);
+        if (call.callerId === userId.toString()) {
+            throw new ApiError(400, 'Caller cannot decline own call; end it instead');
+        }
+
+        const declined = await this.transition(call, ['ringing'], 'declined', { endedAt: new Date() });
+        await this.dispatch(declined, userId, { type: 'end' });
+        await this.finish(declined);
+        return declined;
+    }
+
+    /**
+     * Hang up. Before pickup this is 'missed' (caller) or 'declined' (callee).
+     */
+    async end(callId, userId) {
+        const call = await this.getCallFor(callId, userId);
+        let state = 'ended';
+        if (call.state === 'ringing') {
+            state = call.callerId === userId.toString() ? 'missed' : 'declined';
+        }
+
+        const ended = await this.transition(call, ACTIVE_STATES, state, { endedAt: new Date() });
+        await this.dispatch(ended, userId, { type: 'end' });
+        await this.finish(ended);
+        return ended;
+    }
+
+    /**
+     * Relay an offer/answer/ICE candidate within an active call
+     * @param {object} signal - { type, sdp | candidate, to? }
+     */
+    async signal(callId, userId, { type, sdp, candidate, to }) {
+        if (!SIGNAL_TYPES.includes(type)) {
+            throw new ApiError(400, `type must be one of: ${SIGNAL_TYPES.join(', ')}`);
+        }
+
+        const call = await this.getCallFor(callId, userId);
+        if (!ACTIVE_STATES.includes(call.state)) {
+            throw new ApiError(409, `Call is ${call.state}`, 'CALL_NOT_ACTIVE');
+        }
+        if (to && !call.participants.includes(to.toString())) {
+            throw new ApiError(400, 'Recipient is not in this call');
+        }
+
+        await this.dispatch(call, userId, { type, sdp, candidate }, to);
+        return call;
+    }
+
+    /**
+     * Take every queued signal for a user
+     */
+    poll(userId) {
+        return this.store.drainSignals(userId.toString());
+    }
+
+    /**
+     * The user's ringing or accepted call, if any
+     */
+    activeCall(userId) {
+        return this.store.findActiveCall(userId.toString());
+    }
+
+    /**
+     * A call the user takes part in
+     */
+    async getCallFor(callId, userId) {
+        const call = typeof callId === 'string' ? await this.store.getCall(callId) : null;
+        if (!call || !call.participants.includes(userId.toString())) {
+            throw new ApiError(404, 'Call not found');
+        }
+        return call;
+    }
+
+    async transition(call, fromStates, state, fields) {
+        const next = await this.store.transition(call.callId, fromStates, state, fields);
+        if (!next) {
+            throw new ApiError(409, `Call is ${call.state}`, 'INVALID_CALL_STATE');
+        }
+        return next;
+    }
+
+    /**
+     * Send a signal from one participant to the others (or just `to`)
+     */
+    async dispatch(call, fromUserId, payload, to = null) {
+        const from = fromUserId.toString();
+        const signal = {
+            ...payload,
+            callId: call.callId,
+            state: call.state,
+            from,
+            timestamp: Date.now(),
+        };
+
+        const targets = to ? [to.toString()] : call.participants.filter((id) => id !== from);
+        for (const target of targets) {
+            if (!RealtimeService.sendToUser(target, `webrtc:${signal.type}`, signal)) {
+                await this.store.enqueueSignal(call.callId, target, signal, SIGNAL_TTL);
+            }
+        }
+    }
+
+    /**
+     * Record a call that reached a final state and tell callees who missed it
+     */
+    async finish(call) {
+        const endedAt = call.endedAt || new Date();
+        const answeredAt = call.answeredAt || null;
+
+        try {
+            // Upsert so a retried transition can't record the call twice
+            await CallRecord.updateOne({ callId: call.callId }, {
+                $setOnInsert: {
+                    callerId: call.callerId,
+                    participants: call.participants,
+                    outcome: call.state === 'ended' ? 'completed' : call.state,
+                    startedAt: call.createdAt,
+                    answeredAt,
+                    endedAt,
+                    duration: answeredAt ? Math.round((endedAt - answeredAt) / 1000) : 0,
+                },
+            }, { upsert: true });
+        } catch (err) {
+            console.error('[WebRTC] Call history error:', err.message);
+        }
+
+        if (call.state !== 'missed' && call.state !== 'busy') {
+            return;
+        }
+        for (const calleeId of call.participants.filter((id) => id !== call.callerId)) {
+            await NotificationService.sendToUser(calleeId, {
+                title: 'Us.',
+                body: 'You missed a call from your partner',
+                type: 'MISSED_CALL',
+                data: { callId: call.callId, callerId: call.callerId },
+            }, {
+                collapseKey: 'call:missed',
+                collapseLabel: 'missed calls',
+            });
+        }
+    }
+
+    /**
+     * Start the ring-timeout sweeper
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sweep().catch((err) => {
+                console.error('[WebRTC] Sweep error:', err.message);
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Calls that rang too long become missed
+     * @returns {number} Calls marked missed
+     */
+    async sweep() {
+        this.store.prune?.();
+
+        const stale = await this.store.findRingingBefore(new Date(Date.now() - RING_TIMEOUT));
+        let missed = 0;
+
+        for (const call of stale) {
+            const updated = await this.store.transition(call.callId, ['ringing'], 'missed', { endedAt: new Date() });
+            if (updated) {
+                // The caller needs to hear about it too
+                for (const participant of updated.participants) {
+                    await this.dispatch(updated, updated.callerId, { type: 'end' }, participant);
+                }
+                await this.finish(updated);
+                missed++;
+            }
+        }
+        return missed;
+    }
+}
+
+export default new CallService();
@@ -0,0 +1,216 @@
+/**
+ * Import Service
+ * Restores an archive from GET /api/auth/export into the current account.
+ *
+ * Blobs are recreated as stored (ciphertext, iv, type, encryptedMeta,
+ * createdAt) - nothing is decrypted. Each keeps its archive ID as
+ * importSourceId, so a retried or repeated import skips what is already
+ * there. Work happens in batches in the background; progress is on the
+ * ImportJob.
+ */
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Blob, { SYNC_SEQUENCE, PRAYER_TYPES, PRAYER_STATUSES } from '../models/Blob.js';
+import Counter from '../models/Counter.js';
+import ImportJob from '../models/ImportJob.js';
+import { ApiError } from '../middleware/errors.js';
+import { checkEncryptedFields, checkIndexFields } from '../middleware/validate.js';
+import { EXPORT_FORMAT, EXPORT_VERSION } from './AccountService.js';
+
+const BATCH_SIZE = 100;
+const JOB_TTL = 7 * 24 * 60 * 60 * 1000;
+const STALE_AFTER = 5 * 60 * 1000; // A running job with no progress for this long was interrupted
+const MAX_REJECTIONS = 50;
+const SOURCE_ID_MAX = 64;
+
+class ImportService {
+    /**
+     * Check the archive and start importing it
+     * @returns {object} The ImportJob
+     */
+    async start(userId, archive) {
+        if (!archive || archive.format !== EXPORT_FORMAT || !Array.isArray(archive.blobs)) {
+            throw new ApiError(400, 'Not an export archive', 'INVALID_ARCHIVE');
+        }
+        if (!Number.isInteger(archive.version) || archive.version > EXPORT_VERSION) {
+            throw new ApiError(400, `Unsupported archive version ${archive.version}`, 'INVALID_ARCHIVE');
+        }
+
+        const running = await ImportJob.findOne({
+            userId,
+            status: 'running',
+            updatedAt: { $gt: new Date(Date.now() - STALE_AFTER) },
+        });
+        if (running) {
+            throw new ApiError(409, 'An import is already running', 'IMPORT_IN_PROGRESS', { jobId: running._id });
+        }
+
+        // A fresh account takes the archived profile
+        const profile = archive.user?.encryptedProfile;
+        if (profile?.ciphertext) {
+            await User.updateOne(
+                { _id: userId, 'encryptedProfile.ciphertext': { $in: [null, ''] } },
+                { encryptedProfile: { ciphertext: profile.ciphertext, iv: profile.iv } }
+            );
+        }
+
+        const job = await ImportJob.create({
+            userId,
+            total: archive.blobs.length,
+            expiresAt: new Date(Date.now() + JOB_TTL),
+        });
+
+        setImmediate(() => {
+            this.run(job._id, userId, archive.blobs).catch(async (err) => {
+                console.error(`[Import] Job ${job._id} failed:`, err.message);
+                await ImportJob.updateOne(
+                    { _id: job._id },
+                    { status: 'failed', lastError: err.message, completedAt: new Date() }
+                ).catch(() => {});
+            });
+        });
+
+        return job;
+    }
+
+    /**
+     * Progress of one of the user's jobs
+     */
+    async get(jobId, userId) {
+        const job = await ImportJob.findOne({ _id: jobId, userId });
+        if (!job) {
+            throw new ApiError(404, 'Import not found');
+        }
+
+        if (job.status === 'running' && job.updatedAt < new Date(Date.now() - STALE_AFTER)) {
+            job.status = 'failed';
+            job.lastError = 'Import was interrupted, run it again to continue';
+        }
+        return job;
+    }
+
+    async run(jobId, userId, items) {
+        const seen = new Set();
+
+        for (let start = 0; start < items.length; start += BATCH_SIZE) {
+            const batch = items.slice(start, start + BATCH_SIZE);
+            const counts = { processed: batch.length, imported: 0, duplicates: 0, failed: 0 };
+            const rejections = [];
+            let docs = [];
+
+            for (const [offset, item] of batch.entries()) {
+                const { doc, error } = await this.toBlob(userId, item);
+                if (error) {
+                    counts.failed++;
+                    rejections.push({ index: start + offset, sourceId: item?.id ?? null, message: error });
+                } else if (seen.has(doc.importSourceId)) {
+                    counts.duplicates++;
+                } else {
+                    seen.add(doc.importSourceId);
+                    docs.push(doc);
+                }
+            }
+
+            // Restored before, or still here from the original account
+            const sourceIds = docs.map((doc) => doc.importSourceId);
+            const existing = await Blob.find({
+                userId,
+                $or: [
+                    { importSourceId: { $in: sourceIds } },
+                    { _id: { $in: sourceIds.filter((id) => mongoose.isValidObjectId(id)) } },
+                ],
+            }).select('_id importSourceId');
+            const known = new Set(existing.flatMap((blob) => [blob._id.toString(), blob.importSourceId]));
+            counts.duplicates += docs.filter((doc) => known.has(doc.importSourceId)).length;
+            docs = docs.filter((doc) => !known.has(doc.importSourceId));
+
+            if (docs.length > 0) {
+                const firstSeq = await Counter.next(SYNC_SEQUENCE, docs.length);
+                docs.forEach((doc, i) => {
+                    doc.syncSeq = firstSeq + i;
+                    doc.createdSeq = firstSeq + i;
+                });
+
+                try {
+                    await Blob.insertMany(docs, { ordered: false });
+                    counts.imported += docs.length;
+                } catch (err) {
+                    if (!err.writeErrors) {
+                        throw err;
+                    }
+                    // A concurrent import got there first - those are duplicates
+                    const dupes = err.writeErrors.filter((e) => (e.code ?? e.err?.code) === 11000).length;
+                    counts.imported += docs.length - err.writeErrors.length;
+                    counts.duplicates += dupes;
+                    counts.failed += err.writeErrors.length - dupes;
+                }
+            }
+
+            await ImportJob.updateOne({ _id: jobId }, {
+                $inc: counts,
+                $push: { rejections: { $each: rejections, $slice: MAX_REJECTIONS } },
+                updatedAt: new Date(),
+            });
+        }
+
+        await ImportJob.updateOne(
+            { _id: jobId },
+            { status: 'completed', completedAt: new Date(), updatedAt: new Date() }
+        );
+        console.log(`[Import] Job ${jobId} completed (${items.length} blobs)`);
+    }
+
+    /**
+     * Archive entry -> Blob document, checked against the Blob schema
+     * @returns {object} { doc } or { error }
+     */
+    async toBlob(userId, item) {
+        if (!item || typeof item !== 'object') {
+            return { error: 'not an object' };
+        }
+
+        const sourceId = typeof item.id === 'string' ? item.id : null;
+        if (!sourceId || sourceId.length > SOURCE_ID_MAX) {
+            return { error: 'id is required' };
+        }
+
+        const errors = { ...checkEncryptedFields(item, item.type, false), ...checkIndexFields(item) };
+        if (Object.keys(errors).length > 0) {
+            const [field, message] = Object.entries(errors)[0];
+            return { error: `${field} ${message}` };
+        }
+
+        const createdAt = new Date(item.createdAt);
+        const updatedAt = item.updatedAt ? new Date(item.updatedAt) : createdAt;
+        if (isNaN(createdAt) || isNaN(updatedAt)) {
+            return { error: 'createdAt/updatedAt must be dates' };
+        }
+
+        const doc = {
+            userId,
+            type: item.type,
+            ciphertext: item.ciphertext,
+            iv: item.iv || '',
+            encryptedMeta: item.encryptedMeta || undefined,
+            keyVersion: Number.isInteger(item.keyVersion) && item.keyVersion > 0 ? item.keyVersion : null,
+            searchTokens: item.searchTokens || undefined,
+            logicalDate: item.logicalDate ? new Date(item.logicalDate) : null,
+            prayerStatus: PRAYER_TYPES.includes(item.type)
+                ? (PRAYER_STATUSES.includes(item.prayerStatus) ? item.prayerStatus : 'open')
+                : null,
+            answeredAt: item.answeredAt && !isNaN(new Date(item.answeredAt)) ? new Date(item.answeredAt) : null,
+            importSourceId: sourceId,
+            createdAt,
+            updatedAt,
+        };
+
+        try {
+            await new Blob(doc).validate();
+        } catch (err) {
+            return { error: Object.values(err.errors || {})[0]?.message || err.message };
+        }
+        return { doc };
+    }
+}
+
+export default new ImportService();
@@ -0,0 +1,120 @@
+/**
+ * Key Auth Service
+ * Challenge-response login with a client-held signing key.
+ *
+ * At registration the client uploads the public half of a signing key
+ * (Ed25519 or ECDSA P-256, SPKI DER base64 as exported by WebCrypto,
+ * or a raw 32-byte Ed25519 key). At login the server issues a one-time
+ * nonce that the client signs; the private key never leaves the device.
+ *
+ * Nonces carry their own expiry and an HMAC over the publicId, so issuing
+ * one stores nothing: any number can be outstanding, and unknown
+ * publicIds get the same answer as real ones. A login records the nonce
+ * it used (UsedChallenge) so it can't be replayed.
+ */
+import crypto from 'crypto';
+import { deriveSecret } from '../middleware/auth.js';
+
+const CHALLENGE_TTL = 2 * 60 * 1000; // 2 minutes to answer a challenge
+const CHALLENGE_KEY = deriveSecret('login-challenge');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+class KeyAuthService {
+    /**
+     * Parse a base64 public key into a KeyObject
+     * @returns {KeyObject|null} null if the key is malformed or unsupported
+     */
+    parsePublicKey(encoded) {
+        if (typeof encoded !== 'string' || encoded.length === 0 || encoded.length > 512) {
+            return null;
+        }
+
+        try {
+            let der = Buffer.from(encoded, 'base64');
+            if (der.length === 32) {
+                der = Buffer.concat([ED25519_SPKI_PREFIX, der]);
+            }
+
+            const key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+            if (key.asymmetricKeyType === 'ed25519') {
+                return key;
+            }
+            if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+                return key;
+            }
+            return null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Create a fresh single-use login challenge for a publicId
+     * @returns {object} { nonce, expiresAt }
+     */
+    createChallenge(publicId) {
+        const expiresAt = new Date(Date.now() + CHALLENGE_TTL);
+        const body = `${expiresAt.getTime().toString(36)}.${crypto.randomBytes(24).toString('base64url')}`;
+        return {
+            nonce: `${body}.${this.challengeMac(publicId, body)}`,
+            expiresAt,
+        };
+    }
+
+    /**
+     * Check that a nonce was issued for this publicId and hasn't expired
+     * (doesn't check whether it was used)
+     * @returns {Date|null} Its expiry, or null if it isn't valid
+     */
+    checkChallenge(publicId, nonce) {
+        const [expiry, random, mac] = typeof nonce === 'string' ? nonce.split('.') : [];
+        if (!expiry || !random || !mac) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.challengeMac(publicId, `${expiry}.${random}`));
+        const given = Buffer.from(mac);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return null;
+        }
+
+        const expiresAt = new Date(parseInt(expiry, 36));
+        return expiresAt > new Date() ? expiresAt : null;
+    }
+
+    challengeMac(publicId, body) {
+        return crypto.createHmac('sha256', CHALLENGE_KEY)
+            .update(`${publicId}:${body}`)
+            .digest('base64url');
+    }
+
+    /**
+     * The exact bytes the client must sign (binds the nonce to the account)
+     */
+    challengeMessage(publicId, nonce) {
+        return Buffer.from(`cuddle-login:${publicId}:${nonce}`);
+    }
+
+    /**
+     * Verify a base64 signature over a message
+     * ECDSA signatures use the raw r||s encoding that WebCrypto produces
+     */
+    verify(encodedKey, message, signature) {
+        const key = this.parsePublicKey(encodedKey);
+        if (!key || typeof signature !== 'string') {
+            return false;
+        }
+
+        try {
+            const sig = Buffer.from(signature, 'base64');
+            if (key.asymmetricKeyType === 'ed25519') {
+                return crypto.verify(null, message, key, sig);
+            }
+            return crypto.verify('sha256', message, { key, dsaEncoding: 'ieee-p1363' }, sig);
+        } catch (err) {
+            return false;
+        }
+    }
+}
+
+export default new KeyAuthService();
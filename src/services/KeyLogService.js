@@ -0,0 +1,132 @@
+/**
+ * Key Log Service
+ * Signed, append-only log of identity key changes (see KeyLogEntry).
+ *
+ * Each entry's hash is SHA-256 over the JSON array
+ *   [userId, seq, publicKey, fingerprint, createdAt (ISO), prevHash]
+ * and is signed with the server's Ed25519 log key (KEY_LOG_SIGNING_KEY,
+ * PKCS#8 DER base64). Clients verify with the public half from
+ * GET /api/keys/log-key. Outside production a throwaway key is generated.
+ */
+import crypto from 'crypto';
+import KeyLogEntry from '../models/KeyLogEntry.js';
+import KeyVerification from '../models/KeyVerification.js';
+
+const APPEND_RETRIES = 3;
+
+class KeyLogService {
+    constructor() {
+        this.privateKey = null;
+    }
+
+    /**
+     * Refuse to run in production without a persistent log key
+     */
+    assertSigningKey() {
+        if (process.env.NODE_ENV === 'production' && !process.env.KEY_LOG_SIGNING_KEY) {
+            throw new Error('KEY_LOG_SIGNING_KEY must be set in production');
+        }
+        this.signingKey();
+    }
+
+    signingKey() {
+        if (!this.privateKey) {
+            if (process.env.KEY_LOG_SIGNING_KEY) {
+                this.privateKey = crypto.createPrivateKey({
+                    key: Buffer.from(process.env.KEY_LOG_SIGNING_KEY, 'base64'),
+                    format: 'der',
+                    type: 'pkcs8',
+                });
+            } else {
+                console.warn('[KeyLog] KEY_LOG_SIGNING_KEY not set - using a temporary key');
+                this.privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+            }
+        }
+        return this.privateKey;
+    }
+
+    /**
+     * Server's log verification key (SPKI DER, base64)
+     */
+    publicKey() {
+        return crypto.createPublicKey(this.signingKey())
+            .export({ format: 'der', type: 'spki' })
+            .toString('base64');
+    }
+
+    fingerprint(publicKey) {
+        return crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('hex');
+    }
+
+    hashEntry({ userId, seq, publicKey, fingerprint, createdAt, prevHash }) {
+        const material = JSON.stringify([userId.toString(), seq, publicKey, fingerprint, createdAt.toISOString(), prevHash]);
+        return crypto.createHash('sha256').update(material).digest('hex');
+    }
+
+    /**
+     * Record a new identity key for a user (no-op if it is already the latest)
+     * @returns {object} { entry, changed } - changed is false for the first key
+     */
+    async append(userId, publicKey) {
+        for (let attempt = 0; ; attempt++) {
+            const latest = await this.latest(userId);
+            if (latest?.publicKey === publicKey) {
+                return { entry: latest, changed: false };
+            }
+
+            const entry = {
+                userId,
+                seq: (latest?.seq || 0) + 1,
+                publicKey,
+                fingerprint: this.fingerprint(publicKey),
+                prevHash: latest?.hash || null,
+                createdAt: new Date(),
+            };
+            entry.hash = this.hashEntry(entry);
+            entry.signature = crypto.sign(null, Buffer.from(entry.hash, 'hex'), this.signingKey()).toString('base64');
+
+            try {
+                return { entry: await KeyLogEntry.create(entry), changed: Boolean(latest) };
+            } catch (err) {
+                // Another append took this seq - build on top of it
+                if (err.code !== 11000 || attempt >= APPEND_RETRIES) {
+                    throw err;
+                }
+            }
+        }
+    }
+
+    latest(userId) {
+        return KeyLogEntry.findOne({ userId }).sort({ seq: -1 });
+    }
+
+    /**
+     * A user's log, oldest first (optionally only entries after a seq)
+     */
+    entries(userId, afterSeq = 0) {
+        return KeyLogEntry.find({ userId, seq: { $gt: afterSeq } })
+            .sort({ seq: 1 })
+            .select('-_id -__v');
+    }
+
+    /**
+     * Whether userId has verified subjectId's current key
+     * @returns {object} { verified, fingerprint, verifiedAt, verifiedFingerprint }
+     */
+    async verificationStatus(userId, subjectId) {
+        const [latest, verification] = await Promise.all([
+            this.latest(subjectId),
+            KeyVerification.findOne({ userId, subjectId }),
+        ]);
+
+        return {
+            verified: Boolean(latest && verification && verification.fingerprint === latest.fingerprint),
+            fingerprint: latest?.fingerprint || null,
+            seq: latest?.seq || null,
+            verifiedFingerprint: verification?.fingerprint || null,
+            verifiedAt: verification?.verifiedAt || null,
+        };
+    }
+}
+
+export default new KeyLogService();
@@ -1,43 +1,135 @@
 /**
  * Notification Service
  * Handles pushing messages to users
+ *
+ * Pushes are queued in the Notification outbox and delivered by the
+ * NotificationWorker, so a failing push service never loses them.
+ * Non-urgent pushes wait out the user's quiet hours / do-not-disturb.
  */
-import webpush from 'web-push';
 import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import NotificationWorker from './NotificationWorker.js';
+import { windowEnd } from '../utils/time.js';
 
-// Initialize web-push
-webpush.setVapidDetails(
-    process.env.VAPID_EMAIL || 'mailto:admin@cuddle.app',
-    process.env.VAPID_PUBLIC_KEY,
-    process.env.VAPID_PRIVATE_KEY
-);
+// Types that break through quiet hours
+export const URGENT_TYPES = new Set(['INCOMING_CALL', 'KEY_CHANGED']);
+
+// Collapsible pushes wait this long for more of the same to arrive
+const BATCH_WINDOW = 5 * 1000;
+
+// What a new shared blob is called in the (content-free) push text
+const BLOB_LABELS = {
+    message: ['sent you a message', 'new messages'],
+    note: ['shared a note', 'new notes'],
+    signal: ['sent you a signal', 'new signals'],
+    'shared-growth': ['shared a growth entry', 'new growth entries'],
+    'shared-prayer': ['shared a prayer', 'new prayers'],
+};
 
 class NotificationService {
     /**
-     * Send push notification to a user
+     * Queue a push notification to every device of a user
      * @param {string} userId - Target user ID
-     * @param {object} payload - Notification data { title, body, type }
+     * @param {object} payload - Notification data { title, body, type, data }
+     * @param {object} options - { urgent, collapseKey, collapseLabel, ttl }
+     *   collapseKey merges pending pushes with the same key; the merged
+     *   push reads "<count> <collapseLabel>" (e.g. "3 new messages").
+     *   ttl (seconds) drops the push if it can't go out in time.
+     * @returns {boolean} true if queued
      */
-    async sendToUser(userId, payload) {
+    async sendToUser(userId, payload, options = {}) {
         try {
-            const user = await User.findById(userId);
-            if (!user || !user.pushSubscription || !user.pushSubscription.endpoint) {
-                return false; // User not found or not subscribed
+            const urgent = options.urgent ?? URGENT_TYPES.has(payload.type);
+            const collapseKey = options.collapseKey || null;
+
+            if (collapseKey) {
+                // Fold into a push that hasn't been tried yet - once one
+                // device has it, the others must get the same content
+                const merged = await Notification.findOneAndUpdate(
+                    { userId, collapseKey, status: 'pending', attempts: 0 },
+                    { $inc: { count: 1 }, $set: { payload } }
+                );
+                if (merged) {
+                    return true;
+                }
             }
 
-            await webpush.sendNotification(
-                user.pushSubscription,
-                JSON.stringify(payload)
-            );
+            const deferredUntil = urgent ? null : await this.deferredUntil(userId);
+            const batchUntil = collapseKey ? new Date(Date.now() + BATCH_WINDOW) : new Date();
+
+            await Notification.create({
+                userId,
+                payload,
+                urgent,
+                collapseKey,
+                collapseLabel: options.collapseLabel || null,
+                ttl: options.ttl || null,
+                nextAttemptAt: deferredUntil && deferredUntil > batchUntil ? deferredUntil : batchUntil,
+            });
+
+            if (!collapseKey && !deferredUntil) {
+                NotificationWorker.kick();
+            }
             return true;
         } catch (error) {
-            console.error('[Push] Send error:', error.message);
-            if (error.statusCode === 410 || error.statusCode === 404) {
-                // Subscription expired/invalid - remove it
-                await User.findByIdAndUpdate(userId, { $unset: { pushSubscription: 1 } });
-            }
+            console.error('[Push] Queue error:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Tell the recipient about a new shared blob, unless they muted the type.
+     * The payload never includes ciphertext - just type, blob ID and sender.
+     * @param {object} blob - Saved Blob with recipientId
+     */
+    async notifyNewBlob(blob) {
+        const recipient = await User.findById(blob.recipientId).select('notificationSettings.mutedBlobTypes');
+        if (!recipient || recipient.notificationSettings?.mutedBlobTypes?.includes(blob.type)) {
             return false;
         }
+
+        const [action, collapseLabel] = BLOB_LABELS[blob.type] || ['shared something new', 'new items'];
+
+        return this.sendToUser(blob.recipientId, {
+            title: 'Us.',
+            body: `Your partner ${action}`,
+            type: 'NEW_BLOB',
+            data: {
+                blobId: blob._id.toString(),
+                blobType: blob.type,
+                senderId: blob.userId.toString(),
+            },
+        }, {
+            collapseKey: `blob:${blob.type}`,
+            collapseLabel,
+        });
+    }
+
+    /**
+     * When a non-urgent push to this user may go out, or null for now
+     */
+    async deferredUntil(userId) {
+        const user = await User.findById(userId).select('notificationSettings');
+        const settings = user?.notificationSettings;
+        if (!settings) {
+            return null;
+        }
+
+        const now = new Date();
+        let until = settings.dndUntil > now ? settings.dndUntil : null;
+
+        if (settings.quietHours?.enabled) {
+            const quietEnd = windowEnd(now, {
+                start: settings.quietHours.start,
+                end: settings.quietHours.end,
+                timeZone: settings.quietHours.timezone,
+            });
+            if (quietEnd && (!until || quietEnd > until)) {
+                until = quietEnd;
+            }
+        }
+
+        return until;
     }
 }
 
@@ -0,0 +1,263 @@
+/**
+ * Notification Worker
+ * Drains the Notification outbox: fans each entry out to the user's
+ * devices, retries transient push failures with exponential backoff
+ * and parks entries that keep failing as 'dead'.
+ *
+ * The push transport is injectable so the worker can run against a stub:
+ *   new NotificationWorker({ transport: { send: async (subscription, payload, options) => {} } })
+ * or, for the shared instance, NotificationWorker.setTransport(stub).
+ */
+import webpush from 'web-push';
+import User from '../models/User.js';
+import Device from '../models/Device.js';
+import Notification from '../models/Notification.js';
+
+const POLL_INTERVAL = 5 * 1000;
+const CLAIM_TIMEOUT = 60 * 1000; // Reclaim entries stuck in 'sending'
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF = 30 * 1000;
+const MAX_BACKOFF = 60 * 60 * 1000;
+const SENT_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const DEAD_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Default transport: Web Push with the server's VAPID keys
+ */
+export const webpushTransport = {
+    configured: false,
+
+    async send(subscription, payload, options = {}) {
+        if (!this.configured) {
+            if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+                throw new Error('VAPID keys not configured');
+            }
+            webpush.setVapidDetails(
+                process.env.VAPID_EMAIL || 'mailto:admin@cuddle.app',
+                process.env.VAPID_PUBLIC_KEY,
+                process.env.VAPID_PRIVATE_KEY
+            );
+            this.configured = true;
+        }
+        return webpush.sendNotification(subscription, payload, options);
+    },
+};
+
+export class NotificationWorker {
+    constructor({ transport = webpushTransport, pollInterval = POLL_INTERVAL } = {}) {
+        this.transport = transport;
+        this.pollInterval = pollInterval;
+        this.timer = null;
+        this.running = false;
+        this.rerun = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.kick(), this.pollInterval);
+        this.kick();
+        console.log('[Push] Notification worker started');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Swap the push transport (null restores Web Push)
+     */
+    setTransport(transport) {
+        this.transport = transport || webpushTransport;
+    }
+
+    /**
+     * Run a drain pass now (coalesces with one already in flight)
+     */
+    kick() {
+        if (this.running) {
+            this.rerun = true;
+            return;
+        }
+        this.tick().catch((err) => {
+            console.error('[Push] Worker error:', err.message);
+        });
+    }
+
+    /**
+     * Process every due entry
+     * @returns {number} Entries processed
+     */
+    async tick() {
+        this.running = true;
+        let processed = 0;
+        try {
+            do {
+                this.rerun = false;
+                let entry;
+                while ((entry = await this.claim())) {
+                    await this.process(entry);
+                    processed++;
+                }
+            } while (this.rerun);
+        } finally {
+            this.running = false;
+        }
+        return processed;
+    }
+
+    /**
+     * Atomically take the next due entry
+     */
+    claim() {
+        const now = new Date();
+        return Notification.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedUntil: { $lt: now } },
+                ],
+            },
+            { status: 'sending', lockedUntil: new Date(now.getTime() + CLAIM_TIMEOUT) },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Deliver one entry and record the outcome
+     */
+    async process(entry) {
+        if (entry.ttl && entry.createdAt.getTime() + entry.ttl * 1000 < Date.now()) {
+            await Notification.updateOne({ _id: entry._id }, {
+                status: 'dead',
+                lockedUntil: null,
+                lastError: 'Expired before delivery',
+                completedAt: new Date(),
+                purgeAt: new Date(Date.now() + DEAD_RETENTION),
+            });
+            return;
+        }
+
+        const payload = this.buildPayload(entry);
+        const { delivered, error } = await this.deliver(entry.userId, payload, entry.deliveredDeviceIds, {
+            urgency: entry.urgent ? 'high' : 'normal',
+            ...(entry.ttl && { TTL: entry.ttl }),
+        });
+
+        const attempts = entry.attempts + 1;
+        const update = {
+            attempts,
+            lockedUntil: null,
+            $addToSet: { deliveredDeviceIds: { $each: delivered } },
+        };
+
+        if (!error) {
+            Object.assign(update, {
+                status: 'sent',
+                lastError: null,
+                completedAt: new Date(),
+                purgeAt: new Date(Date.now() + SENT_RETENTION),
+            });
+        } else if (attempts >= MAX_ATTEMPTS) {
+            console.error(`[Push] Giving up on notification ${entry._id}:`, error.message);
+            Object.assign(update, {
+                status: 'dead',
+                lastError: error.message,
+                completedAt: new Date(),
+                purgeAt: new Date(Date.now() + DEAD_RETENTION),
+            });
+        } else {
+            Object.assign(update, {
+                status: 'pending',
+                lastError: error.message,
+                nextAttemptAt: new Date(Date.now() + this.backoff(attempts)),
+            });
+        }
+
+        await Notification.updateOne({ _id: entry._id }, update);
+    }
+
+    /**
+     * Exponential backoff with jitter
+     */
+    backoff(attempts) {
+        const delay = Math.min(BASE_BACKOFF * 2 ** (attempts - 1), MAX_BACKOFF);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * Collapsed entries announce the count instead of the last item
+     */
+    buildPayload(entry) {
+        const payload = { ...entry.payload };
+        if (entry.count > 1) {
+            payload.body = `${entry.count} ${entry.collapseLabel || 'new notifications'}`;
+            payload.data = { ...payload.data, count: entry.count };
+        }
+        return payload;
+    }
+
+    /**
+     * Fan out to every subscribed device not yet delivered to.
+     * Gone subscriptions (404/410) are pruned; anything else is transient.
+     * @param {object} options - Push service options { urgency, TTL }
+     * @returns {object} { delivered: [deviceId], error: last transient error or null }
+     */
+    async deliver(userId, payload, skipDeviceIds = [], options = {}) {
+        await this.migrateLegacySubscription(userId);
+
+        const devices = await Device.find({
+            userId,
+            deviceId: { $nin: skipDeviceIds },
+            'pushSubscription.endpoint': { $exists: true },
+        });
+
+        const delivered = [];
+        let error = null;
+        const body = JSON.stringify(payload);
+
+        await Promise.all(devices.map(async (device) => {
+            try {
+                await this.transport.send(device.pushSubscription, body, options);
+                delivered.push(device.deviceId);
+            } catch (err) {
+                if (err.statusCode === 410 || err.statusCode === 404) {
+                    // Subscription expired/invalid - remove it from this device only
+                    await Device.updateOne({ _id: device._id }, { $unset: { pushSubscription: 1 } });
+                    return;
+                }
+                console.error(`[Push] Send error (device ${device.deviceId}):`, err.message);
+                error = err;
+            }
+        }));
+
+        return { delivered, error };
+    }
+
+    /**
+     * Move a subscription stored on the user (before devices existed)
+     * onto a device record
+     */
+    async migrateLegacySubscription(userId) {
+        const user = await User.findOneAndUpdate(
+            { _id: userId, 'pushSubscription.endpoint': { $exists: true } },
+            { $unset: { pushSubscription: 1 } }
+        );
+        if (!user) {
+            return;
+        }
+
+        await Device.findOneAndUpdate(
+            { userId, deviceId: 'legacy' },
+            {
+                $set: { pushSubscription: user.pushSubscription },
+                $setOnInsert: { label: 'Legacy device' },
+            },
+            { upsert: true }
+        );
+    }
+}
+
+export default new NotificationWorker();
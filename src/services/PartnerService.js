@@ -0,0 +1,218 @@
+/**
+ * Partner Service
+ * Invite-code linking with consent (request -> accept) and unlinking.
+ */
+import User from '../models/User.js';
+import Blob from '../models/Blob.js';
+import LinkRequest from '../models/LinkRequest.js';
+import WrappedKey from '../models/WrappedKey.js';
+import { ApiError } from '../middleware/errors.js';
+import NotificationService from './NotificationService.js';
+import RealtimeService from './RealtimeService.js';
+
+const REQUEST_TTL = 7 * 24 * 60 * 60 * 1000; // Unanswered requests lapse after a week
+
+// What happens to shared blobs on unlink
+export const UNLINK_MODES = ['detach', 'delete'];
+
+class PartnerService {
+    /**
+     * Ask the owner of an invite code to link
+     * @returns {object} The pending LinkRequest
+     */
+    async requestLink(userId, inviteCode) {
+        const owner = await User.findOne({ inviteCode: inviteCode.toUpperCase() });
+
+        if (!owner || !owner.hasValidInviteCode()) {
+            throw new ApiError(404, 'Invalid invite code');
+        }
+        if (owner._id.toString() === userId.toString()) {
+            throw new ApiError(400, 'Cannot link with yourself');
+        }
+        if (owner.partnerId) {
+            throw new ApiError(400, 'Partner already linked');
+        }
+
+        const user = await User.findById(userId);
+        if (user.partnerId) {
+            throw new ApiError(400, 'You are already linked');
+        }
+
+        // Re-entering the code returns the same pending request
+        const existing = await LinkRequest.findOne({
+            fromUserId: userId,
+            toUserId: owner._id,
+            status: 'pending',
+            expiresAt: { $gt: new Date() },
+        });
+        if (existing) {
+            return existing;
+        }
+
+        const request = await LinkRequest.create({
+            fromUserId: userId,
+            toUserId: owner._id,
+            expiresAt: new Date(Date.now() + REQUEST_TTL),
+        });
+
+        RealtimeService.sendToUser(owner._id, 'partner:link-request', { requestId: request._id });
+        await NotificationService.sendToUser(owner._id, {
+            title: 'Us.',
+            body: 'Someone used your invite code. Open the app to accept.',
+            type: 'PARTNER_LINK_REQUEST',
+            data: { requestId: request._id.toString() },
+        });
+
+        return request;
+    }
+
+    /**
+     * Accept a request addressed to the user and link both accounts.
+     * Consumes the invite code and cancels any other pending requests.
+     */
+    async accept(userId, requestId) {
+        const request = await this.findPending(requestId, { toUserId: userId });
+        const requesterId = request.fromUserId;
+
+        // Link both sides only if both are still unlinked (before = the
+        // user as they were, so a rollback can give back their invite code)
+        const before = await User.findOneAndUpdate(
+            { _id: userId, partnerId: null },
+            { partnerId: requesterId, $unset: { inviteCode: 1, inviteCodeExpiresAt: 1 } }
+        );
+        if (!before) {
+            throw new ApiError(400, 'You are already linked');
+        }
+
+        const requester = await User.findOneAndUpdate(
+            { _id: requesterId, partnerId: null },
+            { partnerId: userId },
+            { new: true }
+        );
+        if (!requester) {
+            await User.updateOne({ _id: userId, partnerId: requesterId }, {
+                partnerId: null,
+                inviteCode: before.inviteCode,
+                inviteCodeExpiresAt: before.inviteCodeExpiresAt,
+            });
+            throw new ApiError(400, 'Partner already linked');
+        }
+
+        request.status = 'accepted';
+        request.respondedAt = new Date();
+        await request.save();
+
+        await LinkRequest.updateMany(
+            {
+                _id: { $ne: request._id },
+                status: 'pending',
+                $or: [
+                    { toUserId: { $in: [userId, requesterId] } },
+                    { fromUserId: { $in: [userId, requesterId] } },
+                ],
+            },
+            { status: 'cancelled', respondedAt: new Date() }
+        );
+
+        RealtimeService.sendToUser(requesterId, 'partner:linked', { partnerId: userId });
+        await NotificationService.sendToUser(requesterId, {
+            title: 'Partner Connected',
+            body: 'Your partner has linked with you!',
+            type: 'PARTNER_LINKED',
+        });
+
+        return requester;
+    }
+
+    /**
+     * Decline a request addressed to the user
+     */
+    async decline(userId, requestId) {
+        const request = await this.findPending(requestId, { toUserId: userId });
+        request.status = 'declined';
+        request.respondedAt = new Date();
+        await request.save();
+
+        RealtimeService.sendToUser(request.fromUserId, 'partner:link-declined', { requestId: request._id });
+        return request;
+    }
+
+    /**
+     * Withdraw a request the user sent
+     */
+    async cancel(userId, requestId) {
+        const request = await this.findPending(requestId, { fromUserId: userId });
+        request.status = 'cancelled';
+        request.respondedAt = new Date();
+        await request.save();
+        return request;
+    }
+
+    /**
+     * Unlink from the current partner
+     * @param {string} mode - 'detach': each side keeps what they wrote as
+     *   private blobs; 'delete': all blobs shared between the two are deleted
+     */
+    async unlink(userId, mode = 'detach') {
+        const user = await User.findById(userId);
+        if (!user?.partnerId) {
+            throw new ApiError(400, 'No partner connected');
+        }
+        const partnerId = user.partnerId;
+
+        await User.updateOne({ _id: userId }, { partnerId: null });
+        await User.updateOne({ _id: partnerId, partnerId: userId }, { partnerId: null });
+
+        const shared = {
+            $or: [
+                { userId, recipientId: partnerId },
+                { userId: partnerId, recipientId: userId },
+            ],
+        };
+        if (mode === 'delete') {
+            await Blob.purge(shared, 'unlinked');
+        } else {
+            await Blob.detach(shared);
+        }
+
+        // The ex-partner loses the shared keys wrapped for them
+        await WrappedKey.deleteMany({
+            $or: [
+                { fromUserId: userId, toUserId: partnerId },
+                { fromUserId: partnerId, toUserId: userId },
+            ],
+        });
+
+        // Both need a fresh code to link again
+        await user.generateInviteCode();
+        const partner = await User.findById(partnerId);
+        if (partner && !partner.hasValidInviteCode()) {
+            await partner.generateInviteCode();
+        }
+
+        RealtimeService.sendToUser(partnerId, 'partner:unlinked', { sharedBlobs: mode });
+        await NotificationService.sendToUser(partnerId, {
+            title: 'Us.',
+            body: 'Your partner has disconnected',
+            type: 'PARTNER_UNLINKED',
+            data: { sharedBlobs: mode },
+        });
+
+        return partnerId;
+    }
+
+    async findPending(requestId, participant) {
+        const request = await LinkRequest.findOne({
+            _id: requestId,
+            ...participant,
+            status: 'pending',
+            expiresAt: { $gt: new Date() },
+        });
+        if (!request) {
+            throw new ApiError(404, 'Link request not found');
+        }
+        return request;
+    }
+}
+
+export default new PartnerService();
@@ -0,0 +1,251 @@
+/**
+ * Realtime Service
+ * Authenticated WebSocket channel that pushes partner events as they happen
+ * (new shared blobs, presence, typing, WebRTC signaling).
+ *
+ * Clients connect to /ws?token=<jwt> (or pass the JWT as the WebSocket
+ * subprotocol). Every frame is JSON: { type, data }.
+ * The REST routes keep working as a polling fallback.
+ */
+import { WebSocketServer, WebSocket } from 'ws';
+import User from '../models/User.js';
+import Device from '../models/Device.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const HEARTBEAT_INTERVAL = 30 * 1000; // Drop dead sockets after one missed ping
+const MAX_PAYLOAD = 16 * 1024; // Inbound frames are tiny control messages
+
+class RealtimeService {
+    constructor() {
+        this.wss = null;
+        this.heartbeat = null;
+        // userId -> Set of open sockets (one per tab/device)
+        this.clients = new Map();
+    }
+
+    /**
+     * Attach the WebSocket server to an existing HTTP server
+     * @param {http.Server} server - Server returned by app.listen()
+     * @param {string} path - Upgrade path
+     */
+    attach(server, path = '/ws') {
+        this.wss = new WebSocketServer({
+            server,
+            path,
+            maxPayload: MAX_PAYLOAD,
+            verifyClient: (info, done) => this.verifyClient(info, done),
+        });
+
+        this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+        // Ping every client; terminate those that never answered the last ping
+        this.heartbeat = setInterval(() => {
+            for (const socket of this.wss.clients) {
+                if (socket.isAlive === false) {
+                    socket.terminate();
+                    continue;
+                }
+                socket.isAlive = false;
+                socket.ping();
+            }
+        }, HEARTBEAT_INTERVAL);
+
+        this.wss.on('close', () => clearInterval(this.heartbeat));
+
+        console.log(`[Realtime] WebSocket endpoint ready on ${path}`);
+    }
+
+    /**
+     * Authenticate the upgrade request with the same JWT as the auth middleware
+     */
+    verifyClient({ req }, done) {
+        const url = new URL(req.url, 'http://localhost');
+        const protocol = req.headers['sec-websocket-protocol'];
+        const token = url.searchParams.get('token') || (protocol && protocol.split(',')[0].trim());
+
+        if (!token) {
+            return done(false, 401, 'No token, authorization denied');
+        }
+
+        verifyToken(token)
+            .then((user) => {
+                req.user = user;
+                done(true);
+            })
+            .catch(() => done(false, 401, 'Token is not valid'));
+    }
+
+    handleConnection(socket, req) {
+        const { id: userId, deviceId } = req.user;
+        socket.isAlive = true;
+        socket.sessionId = req.user.sessionId;
+        socket.deviceId = deviceId;
+
+        let sockets = this.clients.get(userId);
+        if (!sockets) {
+            sockets = new Set();
+            this.clients.set(userId, sockets);
+        }
+        const firstForDevice = !this.isDeviceConnected(userId, deviceId);
+        sockets.add(socket);
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        socket.on('message', (raw) => {
+            this.handleMessage(socket, userId, raw).catch((err) => {
+                console.error('[Realtime] Message error:', err.message);
+            });
+        });
+
+        socket.on('close', () => {
+            sockets.delete(socket);
+            if (sockets.size === 0) {
+                this.clients.delete(userId);
+            }
+            this.setPresence(userId, deviceId, false).catch((err) => {
+                console.error('[Realtime] Presence error:', err.message);
+            });
+        });
+
+        socket.on('error', (err) => {
+            console.error('[Realtime] Socket error:', err.message);
+        });
+
+        this.send(socket, 'ready', { userId });
+
+        if (firstForDevice) {
+            this.setPresence(userId, deviceId, true).catch((err) => {
+                console.error('[Realtime] Presence error:', err.message);
+            });
+        }
+    }
+
+    /**
+     * Handle client -> server frames (typing and heartbeat)
+     */
+    async handleMessage(socket, userId, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (err) {
+            return; // Ignore malformed frames
+        }
+
+        switch (message.type) {
+            case 'typing': {
+                const isTyping = message.data?.isTyping === true;
+                const user = await User.findByIdAndUpdate(userId, {
+                    isTyping,
+                    typingAt: isTyping ? new Date() : null,
+                });
+                if (user?.partnerId) {
+                    this.sendToUser(user.partnerId, 'typing', { isTyping });
+                }
+                break;
+            }
+            case 'heartbeat':
+                await this.setPresence(userId, socket.deviceId, true);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Persist a device's online state and tell the partner when the
+     * user as a whole (any device active) goes online or offline.
+     * Also used by the REST heartbeat/logout routes.
+     */
+    async setPresence(userId, deviceId, isOnline) {
+        // A reconnect may have raced the close of the previous socket
+        if (!isOnline && this.isDeviceConnected(userId, deviceId)) {
+            return;
+        }
+
+        const wasOnline = await Device.isUserOnline(userId);
+        await Device.touch(userId, deviceId, isOnline);
+        const online = await Device.isUserOnline(userId);
+
+        const lastActive = new Date();
+        const update = online
+            ? { isOnline: true, lastActiveAt: lastActive }
+            : { isOnline: false, isTyping: false, typingAt: null };
+
+        const user = await User.findByIdAndUpdate(userId, update);
+        if (user?.partnerId && online !== wasOnline) {
+            this.sendToUser(user.partnerId, 'presence', {
+                isOnline: online,
+                lastActive: online ? lastActive : user.lastActiveAt,
+            });
+        }
+    }
+
+    /**
+     * Close every socket opened with a (now revoked) session
+     */
+    disconnectSession(sessionId) {
+        const id = sessionId.toString();
+        for (const sockets of this.clients.values()) {
+            for (const socket of sockets) {
+                if (socket.sessionId === id) {
+                    socket.close(4001, 'Session revoked');
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if a user has at least one open socket
+     */
+    isConnected(userId) {
+        return this.clients.has(userId.toString());
+    }
+
+    /**
+     * Check if a specific device of a user has an open socket
+     */
+    isDeviceConnected(userId, deviceId) {
+        const sockets = this.clients.get(userId.toString());
+        if (!sockets) {
+            return false;
+        }
+        for (const socket of sockets) {
+            if (socket.deviceId === deviceId) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Push an event to every open socket of a user
+     * @param {string} userId - Target user ID
+     * @param {string} type - Event type (e.g. 'blob:new', 'presence')
+     * @param {object} data - Event payload
+     * @returns {boolean} true if at least one socket received it
+     */
+    sendToUser(userId, type, data) {
+        const sockets = this.clients.get(userId.toString());
+        if (!sockets) {
+            return false;
+        }
+
+        let delivered = false;
+        for (const socket of sockets) {
+            delivered = this.send(socket, type, data) || delivered;
+        }
+        return delivered;
+    }
+
+    send(socket, type, data) {
+        if (socket.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        socket.send(JSON.stringify({ type, data }));
+        return true;
+    }
+}
+
+export default new RealtimeService();
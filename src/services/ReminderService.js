@@ -0,0 +1,123 @@
+/**
+ * Reminder Service
+ * Fires due Reminders as pushes and schedules their next time.
+ *
+ * A reminder only pushes while its user can still read the blob; one
+ * whose blob is gone (deleted, expired, unshared) is removed. Answered
+ * or archived prayers stay quiet until they're reopened.
+ */
+import Blob, { PRAYER_TYPES, notExpired, readableBy } from '../models/Blob.js';
+import Reminder from '../models/Reminder.js';
+import NotificationService from './NotificationService.js';
+import { nextClockTime } from '../utils/time.js';
+
+const SWEEP_INTERVAL = 60 * 1000;
+const BATCH_SIZE = 100;
+const PUSH_TTL = 6 * 60 * 60; // A reminder that can't go out within hours is stale
+
+class ReminderService {
+    constructor() {
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sweep().catch((err) => {
+                console.error('[Reminder] Sweep error:', err.message);
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Next firing time for a schedule, or null if it never fires
+     */
+    nextFireAt(reminder, after = new Date()) {
+        if (!reminder.active) {
+            return null;
+        }
+        return nextClockTime(after, {
+            times: reminder.times,
+            days: reminder.days || [],
+            timeZone: reminder.timezone,
+        });
+    }
+
+    /**
+     * @returns {number} Reminders fired
+     */
+    async sweep() {
+        const now = new Date();
+        let fired = 0;
+
+        for (;;) {
+            const due = await Reminder.find({ nextFireAt: { $lte: now } })
+                .sort({ nextFireAt: 1 })
+                .limit(BATCH_SIZE);
+
+            for (const reminder of due) {
+                if (await this.fire(reminder, now)) {
+                    fired++;
+                }
+            }
+
+            if (due.length < BATCH_SIZE) {
+                break;
+            }
+        }
+        return fired;
+    }
+
+    /**
+     * Claim one due reminder, move it to its next time and push it
+     * @returns {boolean} true if a push was queued
+     */
+    async fire(reminder, now) {
+        const blob = await Blob.findOne({
+            _id: reminder.blobId,
+            ...readableBy(reminder.userId),
+            ...notExpired(),
+        }).select('type prayerStatus');
+        if (!blob) {
+            await Reminder.deleteOne({ _id: reminder._id });
+            return false;
+        }
+
+        // Another instance may have fired it already
+        const claimed = await Reminder.findOneAndUpdate(
+            { _id: reminder._id, nextFireAt: reminder.nextFireAt },
+            { nextFireAt: this.nextFireAt(reminder, now), lastFiredAt: now }
+        );
+        if (!claimed) {
+            return false;
+        }
+
+        const isPrayer = PRAYER_TYPES.includes(blob.type);
+        if (isPrayer && blob.prayerStatus && blob.prayerStatus !== 'open') {
+            return false;
+        }
+
+        return NotificationService.sendToUser(reminder.userId, {
+            title: 'Us.',
+            body: isPrayer ? 'A reminder to pray' : 'You have a reminder',
+            type: 'REMINDER',
+            data: {
+                reminderId: reminder._id.toString(),
+                blobId: blob._id.toString(),
+                blobType: blob.type,
+            },
+        }, {
+            collapseKey: `reminder:${reminder._id}`,
+            ttl: PUSH_TTL,
+        });
+    }
+}
+
+export default new ReminderService();
@@ -0,0 +1,142 @@
+/**
+ * Session Service
+ * Issues access/refresh token pairs per device and rotates refresh tokens.
+ *
+ * Refresh tokens look like `<sessionId>.<secret>`; only a hash of the
+ * secret is stored. Each refresh replaces the secret, so presenting an
+ * already-rotated token means it was copied - the session is revoked.
+ */
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import Device from '../models/Device.js';
+import { generateToken, ACCESS_TOKEN_TTL } from '../middleware/auth.js';
+import RealtimeService from './RealtimeService.js';
+
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days of inactivity
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+class SessionService {
+    /**
+     * Start a session for a device and return its first token pair
+     * @param {string} userId - User ID
+     * @param {object} device - { deviceId, deviceLabel } from the client
+     * @param {object} options - { legacy } if started by publicId-only login
+     */
+    async create(userId, { deviceId, deviceLabel } = {}, { legacy = false } = {}) {
+        const secret = crypto.randomBytes(32).toString('base64url');
+
+        const session = await Session.create({
+            userId,
+            deviceId: typeof deviceId === 'string' && deviceId ? deviceId.slice(0, 128) : crypto.randomUUID(),
+            deviceLabel: typeof deviceLabel === 'string' ? deviceLabel.slice(0, 64) : '',
+            refreshTokenHash: hashSecret(secret),
+            legacy,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+        });
+
+        // Register (or refresh) the device this session runs on
+        const label = session.deviceLabel ? { label: session.deviceLabel } : {};
+        await Device.findOneAndUpdate(
+            { userId, deviceId: session.deviceId },
+            { $set: { ...label, isOnline: true, lastSeenAt: new Date() } },
+            { upsert: true }
+        );
+
+        return this.tokens(userId, session, secret);
+    }
+
+    /**
+     * Exchange a refresh token for a new pair
+     * @returns {object|null} null if the token is invalid, expired or reused
+     */
+    async rotate(refreshToken) {
+        const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+        if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+            return null;
+        }
+
+        const session = await Session.findById(sessionId);
+        if (!session || !session.isActive()) {
+            return null;
+        }
+
+        const nextSecret = crypto.randomBytes(32).toString('base64url');
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+            {
+                refreshTokenHash: hashSecret(nextSecret),
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            // Old token presented again - someone else holds a copy
+            console.warn(`[Session] Refresh token reuse on session ${sessionId}, revoking`);
+            await this.revoke(session.userId, session._id, 'reuse');
+            return null;
+        }
+
+        return this.tokens(rotated.userId.toString(), rotated, nextSecret);
+    }
+
+    /**
+     * Active sessions of a user, most recently used first
+     */
+    list(userId) {
+        return Session.find({
+            userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastUsedAt: -1 });
+    }
+
+    /**
+     * Revoke one session and close its sockets
+     * @returns {boolean} false if the session doesn't belong to the user
+     */
+    async revoke(userId, sessionId, reason = 'logout') {
+        const result = await Session.updateOne(
+            { _id: sessionId, userId, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+        RealtimeService.disconnectSession(sessionId);
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Revoke every session of a user (optionally keeping one, or only
+     * those of one device)
+     * @returns {number} Number of sessions revoked
+     */
+    async revokeAll(userId, { except = null, deviceId = null, reason = 'logout' } = {}) {
+        const query = { userId, revokedAt: null };
+        if (except) {
+            query._id = { $ne: except };
+        }
+        if (deviceId) {
+            query.deviceId = deviceId;
+        }
+
+        const sessions = await Session.find(query).select('_id');
+        await Session.updateMany(
+            { _id: { $in: sessions.map((s) => s._id) } },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+        sessions.forEach((s) => RealtimeService.disconnectSession(s._id));
+        return sessions.length;
+    }
+
+    tokens(userId, session, secret) {
+        return {
+            token: generateToken(userId.toString(), session),
+            refreshToken: `${session._id}.${secret}`,
+            expiresIn: ACCESS_TOKEN_TTL,
+            session,
+        };
+    }
+}
+
+export default new SessionService();
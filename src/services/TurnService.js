@@ -0,0 +1,58 @@
+/**
+ * TURN Service
+ * ICE server configuration with short-lived TURN credentials using the
+ * TURN REST API scheme (coturn use-auth-secret):
+ *   username   = "<unix expiry>:<userId>"
+ *   credential = base64(HMAC-SHA1(TURN_SECRET, username))
+ *
+ * Env: STUN_URLS, TURN_URLS (comma separated), TURN_SECRET, TURN_TTL (seconds)
+ */
+import crypto from 'crypto';
+
+const DEFAULT_STUN_URLS = 'stun:stun.l.google.com:19302';
+const DEFAULT_TURN_TTL = 24 * 60 * 60;
+
+const parseUrls = (value) => (value || '').split(',').map((url) => url.trim()).filter(Boolean);
+
+class TurnService {
+    get ttl() {
+        const ttl = parseInt(process.env.TURN_TTL);
+        return ttl > 0 ? ttl : DEFAULT_TURN_TTL;
+    }
+
+    /**
+     * Time-limited TURN credentials for a user
+     * @returns {object} { username, credential, expiresAt }
+     */
+    credentials(userId, secret = process.env.TURN_SECRET) {
+        const expiry = Math.floor(Date.now() / 1000) + this.ttl;
+        const username = `${expiry}:${userId}`;
+        const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+        return { username, credential, expiresAt: new Date(expiry * 1000) };
+    }
+
+    /**
+     * RTCConfiguration.iceServers for a user. TURN is only included when
+     * TURN_URLS and TURN_SECRET are both set.
+     */
+    iceServers(userId) {
+        const stunUrls = parseUrls(process.env.STUN_URLS ?? DEFAULT_STUN_URLS);
+        const turnUrls = parseUrls(process.env.TURN_URLS);
+        const iceServers = [];
+        let expiresAt = null;
+
+        if (stunUrls.length > 0) {
+            iceServers.push({ urls: stunUrls });
+        }
+        if (turnUrls.length > 0 && process.env.TURN_SECRET) {
+            const { username, credential, expiresAt: expiry } = this.credentials(userId);
+            iceServers.push({ urls: turnUrls, username, credential });
+            expiresAt = expiry;
+        }
+
+        return { iceServers, expiresAt };
+    }
+}
+
+export default new TurnService();
@@ -0,0 +1,80 @@
+/**
+ * In-memory signaling store
+ *
+ * Single-process only - fine for development or one instance.
+ * Use the MongoDB store to share calls between instances.
+ */
+
+export default class MemorySignalingStore {
+    constructor() {
+        this.calls = new Map(); // callId -> call
+        this.signals = new Map(); // userId -> [{ signal, expiresAt }]
+    }
+
+    async createCall(call) {
+        this.prune();
+        this.calls.set(call.callId, { ...call });
+        return { ...call };
+    }
+
+    async getCall(callId) {
+        const call = this.calls.get(callId);
+        return call && call.expiresAt > new Date() ? { ...call } : null;
+    }
+
+    async findActiveCall(userId) {
+        for (const call of this.calls.values()) {
+            if (['ringing', 'accepted'].includes(call.state)
+                && call.participants.includes(userId)
+                && call.expiresAt > new Date()) {
+                return { ...call };
+            }
+        }
+        return null;
+    }
+
+    async findRingingBefore(date) {
+        return [...this.calls.values()]
+            .filter((call) => call.state === 'ringing' && call.createdAt < date)
+            .map((call) => ({ ...call }));
+    }
+
+    async transition(callId, fromStates, state, fields = {}) {
+        const call = this.calls.get(callId);
+        if (!call || !fromStates.includes(call.state)) {
+            return null;
+        }
+        Object.assign(call, fields, { state, updatedAt: new Date() });
+        return { ...call };
+    }
+
+    async enqueueSignal(callId, toUserId, signal, ttl) {
+        const queue = this.signals.get(toUserId) || [];
+        queue.push({ signal, expiresAt: Date.now() + ttl });
+        this.signals.set(toUserId, queue);
+    }
+
+    async drainSignals(userId) {
+        const queue = this.signals.get(userId) || [];
+        this.signals.delete(userId);
+        const now = Date.now();
+        return queue.filter((entry) => entry.expiresAt > now).map((entry) => entry.signal);
+    }
+
+    prune() {
+        const now = new Date();
+        for (const [callId, call] of this.calls) {
+            if (call.expiresAt <= now) {
+                this.calls.delete(callId);
+            }
+        }
+        for (const [userId, queue] of this.signals) {
+            const live = queue.filter((entry) => entry.expiresAt > now.getTime());
+            if (live.length === 0) {
+                this.signals.delete(userId);
+            } else {
+                this.signals.set(userId, live);
+            }
+        }
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * MongoDB signaling store
+ *
+ * Calls and queued signals live in MongoDB (with TTL indexes), so any
+ * number of server instances can share them.
+ */
+import Call from '../../models/Call.js';
+import Signal from '../../models/Signal.js';
+
+const MAX_DRAIN = 200;
+
+const toCall = (doc) => doc && {
+    callId: doc.callId,
+    callerId: doc.callerId.toString(),
+    participants: doc.participants.map((id) => id.toString()),
+    state: doc.state,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    answeredAt: doc.answeredAt,
+    endedAt: doc.endedAt,
+    expiresAt: doc.expiresAt,
+};
+
+export default class MongoSignalingStore {
+    async createCall(call) {
+        return toCall(await Call.create(call));
+    }
+
+    async getCall(callId) {
+        return toCall(await Call.findOne({ callId, expiresAt: { $gt: new Date() } }));
+    }
+
+    async findActiveCall(userId) {
+        return toCall(await Call.findOne({
+            participants: userId,
+            state: { $in: ['ringing', 'accepted'] },
+            expiresAt: { $gt: new Date() },
+        }).sort({ createdAt: -1 }));
+    }
+
+    async findRingingBefore(date) {
+        const calls = await Call.find({ state: 'ringing', createdAt: { $lt: date } });
+        return calls.map(toCall);
+    }
+
+    async transition(callId, fromStates, state, fields = {}) {
+        return toCall(await Call.findOneAndUpdate(
+            { callId, state: { $in: fromStates } },
+            { ...fields, state, updatedAt: new Date() },
+            { new: true }
+        ));
+    }
+
+    async enqueueSignal(callId, toUserId, signal, ttl) {
+        await Signal.create({
+            callId,
+            toUserId,
+            signal,
+            expiresAt: new Date(Date.now() + ttl),
+        });
+    }
+
+    async drainSignals(userId) {
+        // One atomic take at a time so two polling devices never get the same signal
+        const signals = [];
+        for (let i = 0; i < MAX_DRAIN; i++) {
+            const entry = await Signal.findOneAndDelete(
+                { toUserId: userId, expiresAt: { $gt: new Date() } },
+                { sort: { createdAt: 1 } }
+            );
+            if (!entry) {
+                break;
+            }
+            signals.push(entry.signal);
+        }
+        return signals;
+    }
+}
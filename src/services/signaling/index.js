@@ -0,0 +1,26 @@
+/**
+ * Signaling stores
+ *
+ * Every store implements:
+ *   createCall(call) / getCall(callId) / findActiveCall(userId)
+ *   findRingingBefore(date)              calls that rang too long
+ *   transition(callId, fromStates, state, fields)  compare-and-set state
+ *   enqueueSignal(callId, toUserId, signal, ttl) / drainSignals(userId)
+ *
+ * Selected with SIGNALING_STORE=memory|mongo (default: mongo when
+ * MONGODB_URI is set, memory otherwise).
+ */
+import MemorySignalingStore from './MemorySignalingStore.js';
+import MongoSignalingStore from './MongoSignalingStore.js';
+
+let store = null;
+
+export function getSignalingStore() {
+    if (!store) {
+        const kind = process.env.SIGNALING_STORE || (process.env.MONGODB_URI ? 'mongo' : 'memory');
+        store = kind === 'mongo' ? new MongoSignalingStore() : new MemorySignalingStore();
+    }
+    return store;
+}
+
+export default getSignalingStore;
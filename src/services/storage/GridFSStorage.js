@@ -0,0 +1,86 @@
+/**
+ * GridFS attachment storage
+ *
+ * Chunks are stored as files named <key>.part<index> and streamed
+ * into a single <key> file on commit. Shares the app's MongoDB
+ * connection, so every instance sees the same attachments.
+ */
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Readable, Writable } from 'stream';
+
+export default class GridFSStorage {
+    constructor(bucketName = 'attachments') {
+        this.bucketName = bucketName;
+        this.bucket = null;
+    }
+
+    getBucket() {
+        if (!this.bucket) {
+            this.bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+                bucketName: this.bucketName,
+            });
+        }
+        return this.bucket;
+    }
+
+    async removeByName(filename) {
+        const files = await this.getBucket().find({ filename }).toArray();
+        await Promise.all(files.map((file) => this.getBucket().delete(file._id)));
+    }
+
+    async writeChunk(key, index, buffer) {
+        // Re-uploading a chunk replaces it
+        const filename = `${key}.part${index}`;
+        await this.removeByName(filename);
+        await pipeline(Readable.from([buffer]), this.getBucket().openUploadStream(filename));
+    }
+
+    async assemble(key, totalChunks) {
+        await this.removeByName(key);
+
+        const hash = crypto.createHash('sha256');
+        const upload = this.getBucket().openUploadStream(key);
+        let size = 0;
+
+        for (let i = 0; i < totalChunks; i++) {
+            const hashing = new Writable({
+                write(chunk, encoding, done) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    if (upload.write(chunk)) {
+                        done();
+                    } else {
+                        upload.once('drain', done);
+                    }
+                },
+            });
+            await pipeline(this.getBucket().openDownloadStreamByName(`${key}.part${i}`), hashing);
+        }
+
+        await new Promise((resolve, reject) => {
+            upload.once('finish', resolve);
+            upload.once('error', reject);
+            upload.end();
+        });
+
+        for (let i = 0; i < totalChunks; i++) {
+            await this.removeByName(`${key}.part${i}`);
+        }
+        return { size, sha256: hash.digest('hex') };
+    }
+
+    createReadStream(key, { start, end } = {}) {
+        // GridFS end is exclusive
+        const options = start !== undefined ? { start, end: end + 1 } : {};
+        return this.getBucket().openDownloadStreamByName(key, options);
+    }
+
+    async remove(key) {
+        const files = await this.getBucket()
+            .find({ filename: { $regex: `^${key}(\\.part\\d+)?$` } })
+            .toArray();
+        await Promise.all(files.map((file) => this.getBucket().delete(file._id)));
+    }
+}
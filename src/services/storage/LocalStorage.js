@@ -0,0 +1,63 @@
+/**
+ * Local filesystem attachment storage
+ *
+ * Chunks are written to <dir>/<key>.parts/<index> and concatenated
+ * into <dir>/<key> on commit.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export default class LocalStorage {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    filePath(key) {
+        return path.join(this.dir, key);
+    }
+
+    partsDir(key) {
+        return path.join(this.dir, `${key}.parts`);
+    }
+
+    async writeChunk(key, index, buffer) {
+        await fs.promises.mkdir(this.partsDir(key), { recursive: true });
+        await fs.promises.writeFile(path.join(this.partsDir(key), String(index)), buffer);
+    }
+
+    async assemble(key, totalChunks) {
+        const hash = crypto.createHash('sha256');
+        const out = fs.createWriteStream(this.filePath(key));
+        let size = 0;
+
+        try {
+            for (let i = 0; i < totalChunks; i++) {
+                const chunk = await fs.promises.readFile(path.join(this.partsDir(key), String(i)));
+                hash.update(chunk);
+                size += chunk.length;
+                if (!out.write(chunk)) {
+                    await new Promise((resolve) => out.once('drain', resolve));
+                }
+            }
+        } finally {
+            out.end();
+            await new Promise((resolve, reject) => {
+                out.once('close', resolve);
+                out.once('error', reject);
+            });
+        }
+
+        await fs.promises.rm(this.partsDir(key), { recursive: true, force: true });
+        return { size, sha256: hash.digest('hex') };
+    }
+
+    createReadStream(key, { start, end } = {}) {
+        return fs.createReadStream(this.filePath(key), { start, end });
+    }
+
+    async remove(key) {
+        await fs.promises.rm(this.filePath(key), { force: true });
+        await fs.promises.rm(this.partsDir(key), { recursive: true, force: true });
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * Attachment storage backends
+ *
+ * Every backend implements:
+ *   writeChunk(key, index, buffer)      store one encrypted chunk
+ *   assemble(key, totalChunks)          join chunks -> { size, sha256 }
+ *   createReadStream(key, { start, end }) read (end inclusive)
+ *   remove(key)                         delete the object and any chunks
+ *
+ * Selected with ATTACHMENT_STORAGE=local|gridfs (default: local,
+ * under ATTACHMENT_DIR or ./data/attachments).
+ */
+import LocalStorage from './LocalStorage.js';
+import GridFSStorage from './GridFSStorage.js';
+
+let storage = null;
+
+export function getStorage() {
+    if (!storage) {
+        storage = process.env.ATTACHMENT_STORAGE === 'gridfs'
+            ? new GridFSStorage()
+            : new LocalStorage(process.env.ATTACHMENT_DIR || 'data/attachments');
+    }
+    return storage;
+}
+
+export default getStorage;
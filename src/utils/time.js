@@ -0,0 +1,136 @@
+/**
+ * Time helpers for user-local schedules (quiet hours, reminders)
+ *
+ * Times of day are "HH:MM" strings in the user's IANA timezone.
+ */
+
+const CLOCK = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse "HH:MM" into minutes since midnight (null if malformed)
+ */
+export function parseClock(value) {
+    const match = typeof value === 'string' && value.match(CLOCK);
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Check that a timezone name is known to Intl
+ */
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Minutes since local midnight of `date` in `timeZone`
+ */
+export function zonedMinutes(date, timeZone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+
+    const hour = parseInt(parts.find((p) => p.type === 'hour').value);
+    const minute = parseInt(parts.find((p) => p.type === 'minute').value);
+    return hour * 60 + minute;
+}
+
+/**
+ * If `date` falls inside the daily window [start, end) in `timeZone`,
+ * return when the window ends; otherwise null. Windows may wrap midnight.
+ */
+export function windowEnd(date, { start, end, timeZone = 'UTC' }) {
+    const from = parseClock(start);
+    const to = parseClock(end);
+    if (from === null || to === null || from === to) {
+        return null;
+    }
+
+    const now = zonedMinutes(date, timeZone);
+    const inside = from < to
+        ? now >= from && now < to
+        : now >= from || now < to;
+    if (!inside) {
+        return null;
+    }
+
+    const minutesLeft = (to - now + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const result = new Date(date.getTime() + minutesLeft * 60 * 1000);
+    result.setSeconds(0, 0);
+    return result;
+}
+
+/**
+ * Day of the week (0 = Sunday) of `date` in `timeZone`
+ */
+export function zonedWeekday(date, timeZone = 'UTC') {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }).format(date);
+    return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(name);
+}
+
+/**
+ * `target` (minutes) was skipped by a DST jump just before `after`:
+ * step back from `after` to the first minute past the gap
+ */
+function gapEnd(after, target, timeZone) {
+    const pastTarget = (time) => {
+        const minutes = (zonedMinutes(time, timeZone) - target + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        return minutes < MINUTES_PER_DAY / 2;
+    };
+
+    let result = after;
+    for (;;) {
+        const previous = new Date(result.getTime() - 60 * 1000);
+        if (!pastTarget(previous)) {
+            return result;
+        }
+        result = previous;
+    }
+}
+
+/**
+ * First moment strictly after `date` (on a whole minute) when the local
+ * clock in `timeZone` shows one of `times`, on one of `days` (0 = Sunday;
+ * empty for every day). A time skipped by a DST jump moves to the end
+ * of the gap. Null if nothing matches within a week.
+ */
+export function nextClockTime(date, { times, days = [], timeZone = 'UTC' }) {
+    const minutes = times.map(parseClock).filter((m) => m !== null).sort((a, b) => a - b);
+    const now = zonedMinutes(date, timeZone);
+
+    for (let day = 0; day <= 7; day++) {
+        for (const target of minutes) {
+            const delta = target - now + day * MINUTES_PER_DAY;
+            if (delta <= 0) {
+                continue;
+            }
+
+            const estimate = new Date(date.getTime() + delta * 60 * 1000);
+            estimate.setSeconds(0, 0);
+            // Across a DST change the offset moves - shift back onto the wall clock time
+            const drift = (target - zonedMinutes(estimate, timeZone) + MINUTES_PER_DAY * 1.5) % MINUTES_PER_DAY
+                - MINUTES_PER_DAY / 2;
+            let result = new Date(estimate.getTime() + drift * 60 * 1000);
+            if (zonedMinutes(result, timeZone) !== target) {
+                result = gapEnd(estimate, target, timeZone);
+            }
+
+            if (result > date && (days.length === 0 || days.includes(zonedWeekday(result, timeZone)))) {
+                return result;
+            }
+        }
+    }
+    return null;
+}
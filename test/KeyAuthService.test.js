@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import KeyAuthService from '../src/services/KeyAuthService.js';
+
+const spki = (publicKey) => publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+
+test('parsePublicKey accepts Ed25519 (SPKI or raw) and P-256 keys', () => {
+    const ed = crypto.generateKeyPairSync('ed25519').publicKey;
+    const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).publicKey;
+    const raw = ed.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+
+    assert.equal(KeyAuthService.parsePublicKey(spki(ed)).asymmetricKeyType, 'ed25519');
+    assert.equal(KeyAuthService.parsePublicKey(raw).asymmetricKeyType, 'ed25519');
+    assert.equal(KeyAuthService.parsePublicKey(spki(ec)).asymmetricKeyType, 'ec');
+});
+
+test('parsePublicKey rejects other curves and garbage', () => {
+    const secp = crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' }).publicKey;
+
+    assert.equal(KeyAuthService.parsePublicKey(spki(secp)), null);
+    assert.equal(KeyAuthService.parsePublicKey('not a key'), null);
+    assert.equal(KeyAuthService.parsePublicKey(''), null);
+    assert.equal(KeyAuthService.parsePublicKey(null), null);
+    assert.equal(KeyAuthService.parsePublicKey('A'.repeat(600)), null);
+});
+
+test('verify checks Ed25519 signatures', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const message = KeyAuthService.challengeMessage('abc', 'nonce');
+    const signature = crypto.sign(null, message, privateKey).toString('base64');
+
+    assert.equal(KeyAuthService.verify(spki(publicKey), message, signature), true);
+    assert.equal(KeyAuthService.verify(spki(publicKey), KeyAuthService.challengeMessage('abd', 'nonce'), signature), false);
+    assert.equal(KeyAuthService.verify(spki(publicKey), message, 'AAAA'), false);
+    assert.equal(KeyAuthService.verify(spki(publicKey), message, undefined), false);
+});
+
+test('verify checks raw r||s ECDSA signatures as WebCrypto makes them', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const message = KeyAuthService.challengeMessage('abc', 'nonce');
+    const signature = crypto.sign('sha256', message, { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    const der = crypto.sign('sha256', message, privateKey);
+
+    assert.equal(KeyAuthService.verify(spki(publicKey), message, signature.toString('base64')), true);
+    assert.equal(KeyAuthService.verify(spki(publicKey), message, der.toString('base64')), false);
+});
+
+test('challenges are valid only for their publicId', () => {
+    const { nonce, expiresAt } = KeyAuthService.createChallenge('abc');
+
+    assert.ok(expiresAt > new Date());
+    assert.equal(KeyAuthService.checkChallenge('abc', nonce).getTime(), expiresAt.getTime());
+    assert.equal(KeyAuthService.checkChallenge('abd', nonce), null);
+});
+
+test('each challenge is different', () => {
+    assert.notEqual(KeyAuthService.createChallenge('abc').nonce, KeyAuthService.createChallenge('abc').nonce);
+});
+
+test('tampered or malformed challenges are refused', () => {
+    const { nonce } = KeyAuthService.createChallenge('abc');
+    const [expiry, random, mac] = nonce.split('.');
+    const later = (parseInt(expiry, 36) + 60 * 60 * 1000).toString(36);
+
+    assert.equal(KeyAuthService.checkChallenge('abc', `${later}.${random}.${mac}`), null);
+    assert.equal(KeyAuthService.checkChallenge('abc', `${expiry}.${random}.${mac}x`), null);
+    assert.equal(KeyAuthService.checkChallenge('abc', `${expiry}.${random}`), null);
+    assert.equal(KeyAuthService.checkChallenge('abc', undefined), null);
+});
+
+test('expired challenges are refused', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { nonce } = KeyAuthService.createChallenge('abc');
+
+    t.mock.timers.tick(2 * 60 * 1000 + 1);
+    assert.equal(KeyAuthService.checkChallenge('abc', nonce), null);
+});
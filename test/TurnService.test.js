@@ -0,0 +1,59 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import TurnService from '../src/services/TurnService.js';
+
+const ENV = ['STUN_URLS', 'TURN_URLS', 'TURN_SECRET', 'TURN_TTL'];
+
+beforeEach(() => {
+    ENV.forEach((name) => delete process.env[name]);
+});
+
+test('credentials follow the TURN REST API scheme', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 15) });
+    process.env.TURN_TTL = '600';
+
+    const { username, credential, expiresAt } = TurnService.credentials('user1', 'secret');
+    const expiry = Date.UTC(2026, 0, 15) / 1000 + 600;
+
+    assert.equal(username, `${expiry}:user1`);
+    assert.equal(credential, crypto.createHmac('sha1', 'secret').update(username).digest('base64'));
+    assert.deepEqual(expiresAt, new Date(expiry * 1000));
+});
+
+test('ttl falls back to a day when unset or invalid', () => {
+    assert.equal(TurnService.ttl, 24 * 60 * 60);
+    process.env.TURN_TTL = '-5';
+    assert.equal(TurnService.ttl, 24 * 60 * 60);
+    process.env.TURN_TTL = 'soon';
+    assert.equal(TurnService.ttl, 24 * 60 * 60);
+});
+
+test('iceServers has only the default STUN server without TURN config', () => {
+    const { iceServers, expiresAt } = TurnService.iceServers('user1');
+
+    assert.deepEqual(iceServers, [{ urls: ['stun:stun.l.google.com:19302'] }]);
+    assert.equal(expiresAt, null);
+});
+
+test('iceServers needs both TURN_URLS and TURN_SECRET for TURN', () => {
+    process.env.TURN_URLS = 'turn:turn.example.com:3478';
+    assert.equal(TurnService.iceServers('user1').iceServers.length, 1);
+
+    process.env.TURN_SECRET = 'secret';
+    const { iceServers, expiresAt } = TurnService.iceServers('user1');
+    assert.equal(iceServers.length, 2);
+    assert.deepEqual(iceServers[1].urls, ['turn:turn.example.com:3478']);
+    assert.match(iceServers[1].username, /^\d+:user1$/);
+    assert.ok(expiresAt > new Date());
+});
+
+test('iceServers splits URL lists and allows turning STUN off', () => {
+    process.env.STUN_URLS = '';
+    process.env.TURN_URLS = ' turn:a.example.com:3478 , turns:a.example.com:5349,';
+    process.env.TURN_SECRET = 'secret';
+
+    const { iceServers } = TurnService.iceServers('user1');
+    assert.equal(iceServers.length, 1);
+    assert.deepEqual(iceServers[0].urls, ['turn:a.example.com:3478', 'turns:a.example.com:5349']);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseClock, isValidTimeZone, zonedMinutes, windowEnd, zonedWeekday, nextClockTime,
+} from '../src/utils/time.js';
+
+const at = (iso) => new Date(iso);
+
+test('parseClock reads HH:MM', () => {
+    assert.equal(parseClock('00:00'), 0);
+    assert.equal(parseClock('07:30'), 450);
+    assert.equal(parseClock('23:59'), 1439);
+    assert.equal(parseClock('24:00'), null);
+    assert.equal(parseClock('7:30'), null);
+    assert.equal(parseClock(730), null);
+});
+
+test('isValidTimeZone knows IANA names only', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(undefined), false);
+});
+
+test('zonedMinutes is the local time of day', () => {
+    assert.equal(zonedMinutes(at('2026-01-15T12:00:00Z'), 'UTC'), 720);
+    assert.equal(zonedMinutes(at('2026-01-15T12:00:00Z'), 'Asia/Kolkata'), 1050);
+    assert.equal(zonedMinutes(at('2026-07-15T12:00:00Z'), 'Europe/Berlin'), 840);
+});
+
+test('windowEnd returns the end of a window that wraps midnight', () => {
+    const hours = { start: '22:00', end: '07:00', timeZone: 'Europe/Berlin' };
+
+    // 23:30 and 05:00 in Berlin (CET)
+    assert.deepEqual(windowEnd(at('2026-01-15T22:30:00Z'), hours), at('2026-01-16T06:00:00Z'));
+    assert.deepEqual(windowEnd(at('2026-01-16T04:00:00Z'), hours), at('2026-01-16T06:00:00Z'));
+    // 12:00 is outside
+    assert.equal(windowEnd(at('2026-01-16T11:00:00Z'), hours), null);
+});
+
+test('windowEnd treats the end as exclusive and empty windows as off', () => {
+    const hours = { start: '09:00', end: '17:00', timeZone: 'UTC' };
+
+    assert.deepEqual(windowEnd(at('2026-01-15T09:00:00Z'), hours), at('2026-01-15T17:00:00Z'));
+    assert.equal(windowEnd(at('2026-01-15T17:00:00Z'), hours), null);
+    assert.equal(windowEnd(at('2026-01-15T09:00:00Z'), { start: '09:00', end: '09:00' }), null);
+    assert.equal(windowEnd(at('2026-01-15T09:00:00Z'), { start: 'nine', end: '17:00' }), null);
+});
+
+test('zonedWeekday uses the local date', () => {
+    // Sunday 23:00 UTC is already Monday in Tokyo
+    assert.equal(zonedWeekday(at('2026-03-01T23:00:00Z'), 'UTC'), 0);
+    assert.equal(zonedWeekday(at('2026-03-01T23:00:00Z'), 'Asia/Tokyo'), 1);
+});
+
+test('nextClockTime picks the next time today or tomorrow', () => {
+    const schedule = { times: ['07:00', '21:00'], timeZone: 'UTC' };
+
+    assert.deepEqual(nextClockTime(at('2026-01-15T06:59:30Z'), schedule), at('2026-01-15T07:00:00Z'));
+    assert.deepEqual(nextClockTime(at('2026-01-15T07:00:00Z'), schedule), at('2026-01-15T21:00:00Z'));
+    assert.deepEqual(nextClockTime(at('2026-01-15T22:00:00Z'), schedule), at('2026-01-16T07:00:00Z'));
+});
+
+test('nextClockTime keeps to the given weekdays', () => {
+    // Thursday 2026-01-15; next Monday is the 19th
+    const next = nextClockTime(at('2026-01-15T12:00:00Z'), { times: ['08:00'], days: [1], timeZone: 'UTC' });
+    assert.deepEqual(next, at('2026-01-19T08:00:00Z'));
+});
+
+test('nextClockTime stays on the wall clock across a DST change', () => {
+    const schedule = { times: ['07:00'], timeZone: 'America/New_York' };
+
+    // 07:00 EST, then 07:00 EDT after the 2026-03-08 spring-forward
+    assert.deepEqual(nextClockTime(at('2026-03-07T13:00:00Z'), schedule), at('2026-03-08T11:00:00Z'));
+    assert.deepEqual(nextClockTime(at('2026-03-06T13:00:00Z'), schedule), at('2026-03-07T12:00:00Z'));
+});
+
+test('nextClockTime moves a time skipped by spring-forward to the end of the gap', () => {
+    // 02:30 doesn't exist in New York on 2026-03-08 - clocks go 02:00 -> 03:00 EDT
+    const next = nextClockTime(at('2026-03-08T05:00:00Z'), { times: ['02:30'], timeZone: 'America/New_York' });
+    assert.deepEqual(next, at('2026-03-08T07:00:00Z'));
+});
+
+test('nextClockTime fires a repeated fall-back time once, at the first occurrence', () => {
+    // 01:30 happens twice in New York on 2026-11-01 (EDT, then EST)
+    const schedule = { times: ['01:30'], timeZone: 'America/New_York' };
+    const first = nextClockTime(at('2026-11-01T04:00:00Z'), schedule);
+
+    assert.deepEqual(first, at('2026-11-01T05:30:00Z'));
+    assert.deepEqual(nextClockTime(first, schedule), at('2026-11-02T06:30:00Z'));
+});
+
+test('nextClockTime returns null for nothing to match', () => {
+    assert.equal(nextClockTime(at('2026-01-15T12:00:00Z'), { times: [], timeZone: 'UTC' }), null);
+    assert.equal(nextClockTime(at('2026-01-15T12:00:00Z'), { times: ['25:00'], timeZone: 'UTC' }), null);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    CIPHERTEXT_LIMITS, isBase64, isPublicKey, checkEncryptedFields, checkIndexFields, checkDeliverAt,
+    validateBlobCreate, validateReaction,
+} from '../src/middleware/validate.js';
+import { MAX_SEARCH_TOKENS } from '../src/models/Blob.js';
+
+const b64 = (bytes) => crypto.randomBytes(bytes).toString('base64');
+
+// Run a validation middleware; resolves to the error it passed on (or null)
+const run = (middleware, body) => new Promise((resolve) => {
+    middleware({ body, params: {}, user: { id: 'user1' } }, {}, (err) => resolve(err ?? null));
+});
+
+test('isBase64 accepts only padded standard base64', () => {
+    assert.equal(isBase64('aGVsbG8='), true);
+    assert.equal(isBase64(''), true);
+    assert.equal(isBase64('aGVsbG8'), false);
+    assert.equal(isBase64('aGV-bG8_'), false);
+    assert.equal(isBase64(42), false);
+});
+
+test('isPublicKey accepts raw and SPKI keys by shape', () => {
+    const spki = crypto.generateKeyPairSync('x25519').publicKey.export({ format: 'der', type: 'spki' });
+    const uncompressed = Buffer.concat([Buffer.from([0x04]), crypto.randomBytes(64)]);
+
+    assert.equal(isPublicKey(b64(32)), true);
+    assert.equal(isPublicKey(uncompressed.toString('base64')), true);
+    assert.equal(isPublicKey(spki.toString('base64')), true);
+    assert.equal(isPublicKey(b64(40)), false);
+    assert.equal(isPublicKey(''), false);
+});
+
+test('checkIndexFields limits search tokens and checks logicalDate', () => {
+    assert.deepEqual(checkIndexFields({ searchTokens: [b64(16)], logicalDate: '2026-01-15' }), {});
+    assert.deepEqual(checkIndexFields({ searchTokens: null, logicalDate: null }), {});
+    assert.ok(checkIndexFields({ searchTokens: 'token' }).searchTokens);
+    assert.ok(checkIndexFields({ searchTokens: [''] }).searchTokens);
+    assert.ok(checkIndexFields({ searchTokens: [b64(64)] }).searchTokens);
+    assert.ok(checkIndexFields({ searchTokens: Array.from({ length: MAX_SEARCH_TOKENS + 1 }, () => b64(16)) }).searchTokens);
+    assert.ok(checkIndexFields({ logicalDate: 'someday' }).logicalDate);
+});
+
+test('checkDeliverAt takes only dates within the next year', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    assert.equal(checkDeliverAt(new Date(Date.now() + day).toISOString()), null);
+    assert.ok(checkDeliverAt(new Date(Date.now() - day).toISOString()));
+    assert.ok(checkDeliverAt(new Date(Date.now() + 400 * day).toISOString()));
+    assert.ok(checkDeliverAt('tomorrow'));
+});
+
+test('validateBlobCreate passes a well-formed private blob on', async () => {
+    assert.equal(await run(validateBlobCreate, { type: 'note', ciphertext: b64(64), iv: b64(12) }), null);
+    // Without an iv the content is plaintext shared before key exchange
+    assert.equal(await run(validateBlobCreate, { type: 'note', ciphertext: 'hello!' }), null);
+});
+
+test('validateBlobCreate reports every bad field at once', async () => {
+    const err = await run(validateBlobCreate, {
+        type: 'diary',
+        iv: 'not base64!',
+        recipientId: 'nobody',
+        encryptedMeta: { ciphertext: 'nope!' },
+    });
+
+    assert.equal(err.status, 400);
+    assert.equal(err.code, 'VALIDATION_FAILED');
+    assert.deepEqual(Object.keys(err.details).sort(), ['ciphertext', 'encryptedMeta', 'iv', 'recipientId', 'type']);
+});
+
+test('validateBlobCreate applies the size limit of the type', async () => {
+    const ciphertext = 'A'.repeat(CIPHERTEXT_LIMITS.signal + 4);
+
+    const err = await run(validateBlobCreate, { type: 'signal', ciphertext, iv: b64(12) });
+    assert.ok(err.details.ciphertext);
+    assert.equal(await run(validateBlobCreate, { type: 'message', ciphertext, iv: b64(12) }), null);
+});
+
+test('validateBlobCreate wants base64 ciphertext when there is an iv', async () => {
+    const err = await run(validateBlobCreate, { type: 'note', ciphertext: 'hello!', iv: b64(12) });
+    assert.deepEqual(Object.keys(err.details), ['ciphertext']);
+});
+
+test('checkEncryptedFields requires ciphertext on create only', () => {
+    assert.deepEqual(Object.keys(checkEncryptedFields({}, 'note', false)), ['ciphertext']);
+    assert.deepEqual(checkEncryptedFields({}, 'note', true), {});
+    assert.deepEqual(checkEncryptedFields({ iv: b64(12) }, 'note', true), {});
+    assert.ok(checkEncryptedFields({ ciphertext: '' }, 'note', true).ciphertext);
+});
+
+test('validateReaction passes valid reactions on and rejects others', async () => {
+    assert.equal(await run(validateReaction, { ciphertext: b64(32), iv: b64(12) }), null);
+
+    const err = await run(validateReaction, { ciphertext: 'A'.repeat(516) });
+    assert.equal(err.status, 400);
+    assert.equal(err.code, 'VALIDATION_FAILED');
+    assert.ok(err.details.ciphertext);
+});